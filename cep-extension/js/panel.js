@@ -20,11 +20,17 @@
 
     const nodeAvailable = !!(fs && path && os);
 
+    // Shared tokens.json reader/writer (loaded in setupPaths); without them tokens aren't kept
+    let tokenStore = null;
+    let safeFile = null;
+
     // ==================== Configuration ====================
     const CONFIG = {
         cacheDir: null,
         format: 'png',
         aerenderPath: null,
+        swapMode: 'duplicate',     // 'duplicate' adds a cache layer, 'replaceSource' swaps the precomp layer's source
+        workerUrl: 'http://127.0.0.1:3847',
         autoDraft: {
             enabled: false,
             idleDelay: 400,        // ms before restoring quality
@@ -38,15 +44,26 @@
         preRender: {
             enabled: false,
             radius: 2  // seconds around CTI
+        },
+        staleCheck: {
+            enabled: true,
+            intervalMinutes: 0, // Also check on a timer; describing precomps blocks After Effects, so 0 checks only on events
+            autoRender: false   // Queue stale tokens for a background re-render on the worker
         }
     };
 
     // ==================== State ====================
+    // Resolution factor of each token quality variant (matches the worker)
+    const VARIANT_FACTORS = { full: 1, half: 2, quarter: 4 };
+    const RESOLUTION_FACTORS = { full: 1, half: 2, third: 3, quarter: 4 };
+
     const state = {
         csInterface: null,
         ready: false,
         tokens: {},
         compState: null,
+        project: null,          // { path, name, id } of the open project
+        showAllProjects: false,
         profilerResults: null,
 
         // Auto Draft state
@@ -58,9 +75,21 @@
 
         // Pre-render state
         preRenderQueue: [],
-        preRenderProcess: null
+        preRenderProcess: null,
+
+        // Worker state
+        workerAvailable: false,
+        workerEvents: null,
+        formats: {},            // Output formats known to the worker, keyed by name
+        descriptions: {},       // Latest precomp descriptions of unregistered and stale tokens, keyed by token id
+        stale: {},              // Tokens whose precomp changed since they were hashed: { hash, changes, detectedAt }
+        staleTimer: null,
+        staleCheckRunning: false,
+        renderProcesses: {}     // In-panel aerender fallback, keyed by token id
     };
 
+    const WORKER_TIMEOUT = 5000;
+
     // ==================== Initialization ====================
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -86,13 +115,18 @@
             setupEventListeners();
             setupAEEventListeners();
             testConnection();
+            checkWorker();
 
             state.ready = true;
             updateStatus('ready');
             log('success', 'Pulse 2.0 ready');
+            if (nodeAvailable && !tokenStore) {
+                log('warning', 'Token files are missing from the extension, reinstall Pulse to use render tokens');
+            }
 
             // Initial comp state
             refreshCompState();
+            refreshProject();
 
         } catch (error) {
             console.error('[Pulse] Init error:', error);
@@ -103,6 +137,14 @@
     function setupPaths() {
         if (!nodeAvailable) return;
 
+        const sharedDir = findSharedModules(state.csInterface.getSystemPath(SystemPath.EXTENSION));
+        if (sharedDir) {
+            tokenStore = window.cep_node.require(path.join(sharedDir, 'tokenStore.js'));
+            safeFile = window.cep_node.require(path.join(sharedDir, 'safeFile.js'));
+        } else {
+            console.warn('[Pulse] tokenStore.js not found, tokens are disabled');
+        }
+
         const homeDir = os.homedir();
         CONFIG.cacheDir = path.join(homeDir, 'Pulse_Cache');
 
@@ -111,6 +153,21 @@
         }
     }
 
+    /**
+     * The folder holding the modules the panel shares with the worker (tokenStore.js, safeFile.js)
+     * Installers copy them into the extension's js/shared folder; an extension linked from a
+     * checkout uses the worker's lib folder next to it
+     */
+    function findSharedModules(extensionDir) {
+        const candidates = [path.join(extensionDir, 'js', 'shared')];
+
+        try {
+            candidates.push(path.join(fs.realpathSync(extensionDir), '..', 'worker', 'lib'));
+        } catch (e) {}
+
+        return candidates.find(dir => fs.existsSync(path.join(dir, 'tokenStore.js'))) || null;
+    }
+
     function detectAerender() {
         if (!nodeAvailable) return;
 
@@ -158,11 +215,27 @@
 
         // Poll for comp changes (CEP limitation - no direct CTI events)
         setInterval(checkCompState, 500);
+
+        // Stale tokens are looked for when the project is saved or switched and when the panel is shown
+        state.csInterface.addEventListener('documentAfterSave', checkStaleTokens);
+        state.csInterface.addEventListener('documentAfterActivate', checkStaleTokens);
+        startStaleCheck();
+    }
+
+    function startStaleCheck() {
+        if (state.staleTimer) clearInterval(state.staleTimer);
+        state.staleTimer = null;
+
+        if (CONFIG.staleCheck.enabled && CONFIG.staleCheck.intervalMinutes > 0) {
+            state.staleTimer = setInterval(checkStaleTokens, CONFIG.staleCheck.intervalMinutes * 60000);
+        }
     }
 
     function onVisibilityChange(event) {
         if (event.data === 'true') {
             refreshCompState();
+            refreshProject();
+            checkStaleTokens();
         }
     }
 
@@ -239,6 +312,7 @@
                 state.autoDraftActive = true;
                 updateAutoDraftUI(true);
                 log('info', 'Auto Draft ON');
+                await swapVariantsForResolution(RESOLUTION_FACTORS[CONFIG.autoDraft.resolution] || 1);
             }
         } catch (e) {
             console.error('[Pulse] Auto draft error:', e);
@@ -254,6 +328,7 @@
                 state.autoDraftActive = false;
                 updateAutoDraftUI(false);
                 log('info', 'Auto Draft OFF - Quality restored');
+                await swapVariantsForResolution(1);
             }
         } catch (e) {
             console.error('[Pulse] Restore error:', e);
@@ -289,6 +364,13 @@
         // Tokens
         addClickListener('btn-create-token', createToken);
         addClickListener('btn-scan-tokens', scanTokenCandidates);
+        const showAll = document.getElementById('tokens-show-all-projects');
+        if (showAll) {
+            showAll.addEventListener('change', () => {
+                state.showAllProjects = showAll.checked;
+                renderTokensList();
+            });
+        }
 
         // Profiler
         addClickListener('btn-run-profiler', runProfiler);
@@ -366,6 +448,11 @@
 
     // ==================== Render Tokens ====================
     async function createToken() {
+        if (!tokenStore) {
+            log('error', 'Render tokens need the token files, reinstall Pulse');
+            return;
+        }
+
         log('info', 'Creating token...');
         updateStatus('busy');
 
@@ -378,32 +465,61 @@
                 return;
             }
 
-            const tokenId = `${sanitize(result.precompName)}_${result.hash}`;
+            // Creating a token gives the project its id, so remember it for the token list
+            state.project = { path: result.projectPath, name: result.projectName, id: result.projectId };
+            const projectKey = tokenStore.getProjectKey(result.projectId, result.projectPath);
+            const projectFolder = tokenStore.getProjectFolder(result.projectName, projectKey);
+            // Same hash the worker computes from the description
+            const hash = tokenStore.getContentHash(result.description);
+            const tokenId = tokenStore.getTokenId(result.precompName, hash, null, projectKey);
 
             // Check if token already exists with same hash
-            if (state.tokens[tokenId]) {
+            if (Object.values(state.tokens).some(t => t.tokenId === tokenId ||
+                (t.hash === hash && t.precompName === result.precompName && (t.projectKey || null) === projectKey))) {
                 log('info', 'Token already exists (no changes detected)');
                 updateStatus('ready');
                 return;
             }
 
-            state.tokens[tokenId] = {
-                id: tokenId,
-                hash: result.hash,
+            const token = {
+                tokenId: tokenId,
+                hash: hash,
+                fingerprint: tokenStore.getFingerprint(result.description),
+                compName: result.compName,
                 precompName: result.precompName,
+                precompId: result.precompId,
                 layerIndex: result.layerIndex,
                 width: result.width,
                 height: result.height,
                 frameRate: result.frameRate,
                 duration: result.duration,
                 frameCount: result.frameCount,
+                startFrame: result.startFrame,
                 cost: result.cost,
                 costBreakdown: result.costBreakdown,
                 status: 'pending',
-                renderPath: null,
-                createdAt: Date.now()
+                format: CONFIG.format,
+                projectPath: result.projectPath,
+                projectId: result.projectId,
+                projectKey: projectKey,
+                projectFolder: projectFolder,
+                renderDir: tokenStore.getRenderDir(CONFIG.cacheDir, tokenId, projectFolder),
+                renderFirstFrame: null,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
             };
 
+            state.tokens[tokenId] = token;
+            state.descriptions[tokenId] = result.description;
+
+            if (state.workerAvailable) {
+                try {
+                    await registerToken(token);
+                } catch (e) {
+                    log('warning', `Worker unavailable, token kept in panel: ${e.message}`);
+                }
+            }
+
             saveTokens();
             renderTokensList();
             switchTab('tokens');
@@ -480,45 +596,121 @@
         const container = document.getElementById('tokens-list');
         if (!container) return;
 
-        const tokens = Object.values(state.tokens);
+        const all = Object.values(state.tokens);
+        const tokens = state.showAllProjects ? all : all.filter(isCurrentProjectToken);
 
         if (tokens.length === 0) {
-            container.innerHTML = '<p class="muted">No tokens. Select a precomp and click "Create Token".</p>';
+            const hidden = all.length - tokens.length;
+            container.innerHTML = '<p class="muted">No tokens. Select a precomp and click "Create Token".</p>' +
+                (hidden > 0 ? `<p class="muted">${hidden} token(s) of other projects hidden.</p>` : '');
             return;
         }
 
         container.innerHTML = tokens.map(t => `
-            <div class="token-item" data-id="${esc(t.id)}">
+            <div class="token-item" data-id="${esc(t.tokenId)}">
                 <div class="token-header">
                     <span class="token-name">${esc(t.precompName)}</span>
-                    <span class="token-status ${t.status}">${t.status}</span>
+                    <span class="token-status ${t.status}">${t.status}${t.status === 'rendering' && t.progress != null ? ` ${t.progress}%` : ''}</span>
                 </div>
                 <div class="token-info">
                     ${t.width}x${t.height} @ ${t.frameRate}fps | ${t.frameCount} frames | Cost: ${t.cost}
                 </div>
                 <div class="token-hash">Hash: ${t.hash}</div>
+                ${state.showAllProjects && t.projectPath ? `<div class="token-info">Project: ${esc(path.basename(t.projectPath))}</div>` : ''}
+                ${t.renderSettings?.templateName || t.renderSettings?.outputModuleTemplate ? `<div class="token-info">Settings: ${esc([t.renderSettings.templateName, t.renderSettings.outputModuleTemplate].filter(Boolean).join(' / '))}</div>` : ''}
+                ${t.variants && Object.keys(t.variants).length > 0 ? `<div class="token-info">Variants: ${Object.keys(t.variants).map(v => `${v} ${t.variants[v].status}${t.variants[v].status === 'rendering' && t.variants[v].progress != null ? ` ${t.variants[v].progress}%` : ''}`).join(', ')}</div>` : ''}
+                ${state.stale[t.tokenId] ? renderStale(state.stale[t.tokenId]) : ''}
+                ${t.dirtyRanges ? `<div class="token-info">Dirty frames: ${t.dirtyRanges.map(r => `${r.start}-${r.end}`).join(', ')}</div>` : ''}
+                ${t.failure && t.status !== 'ready' ? renderFailure(t.failure) : ''}
                 <div class="token-actions">
-                    ${t.status === 'pending' ? `<button class="btn btn-small btn-primary" onclick="Pulse.renderToken('${t.id}')">Render</button>` : ''}
-                    ${t.status === 'ready' ? `<button class="btn btn-small btn-success" onclick="Pulse.swapToken('${t.id}')">Swap In</button>` : ''}
-                    ${t.status === 'swapped' ? `<button class="btn btn-small btn-warning" onclick="Pulse.restoreToken('${t.id}')">Restore</button>` : ''}
-                    <button class="btn btn-small btn-danger" onclick="Pulse.deleteToken('${t.id}')">Delete</button>
+                    ${['pending', 'dirty', 'error'].includes(t.status) ? `<button class="btn btn-small btn-primary" onclick="Pulse.renderToken('${t.tokenId}')">Render</button>` : ''}
+                    ${t.status === 'rendering' ? `<button class="btn btn-small btn-warning" onclick="Pulse.cancelToken('${t.tokenId}')">Cancel</button>` : ''}
+                    ${Object.keys(t.variants || {}).filter(v => t.variants[v].status === 'rendering').map(v => `<button class="btn btn-small btn-warning" onclick="Pulse.cancelToken('${t.tokenId}', '${v}')">Cancel ${v}</button>`).join('')}
+                    ${t.worker && ['pending', 'dirty', 'error', undefined].includes(t.variants?.half?.status) ? `<button class="btn btn-small btn-secondary" onclick="Pulse.renderToken('${t.tokenId}', 'half')">Render Draft</button>` : ''}
+                    ${!getSwappedVariant(t) && pickVariant(t, 1) ? `<button class="btn btn-small btn-success" onclick="Pulse.swapToken('${t.tokenId}')">Swap In</button>` : ''}
+                    ${getSwappedVariant(t) ? `<button class="btn btn-small btn-warning" onclick="Pulse.restoreToken('${t.tokenId}')">Restore</button>` : ''}
+                    ${['ready', 'swapped'].includes(t.status) ? `<button class="btn btn-small btn-secondary" onclick="Pulse.markTokenDirty('${t.tokenId}', false)">Mark Dirty</button>` : ''}
+                    ${['ready', 'swapped', 'dirty'].includes(t.status) && t.worker ? `<button class="btn btn-small btn-secondary" onclick="Pulse.markTokenDirty('${t.tokenId}', true)">Dirty Work Area</button>` : ''}
+                    ${hasMissingFootage(t) ? `<button class="btn btn-small btn-secondary" onclick="Pulse.collectMissingFootage()">Collect Missing Footage</button>` : ''}
+                    <button class="btn btn-small btn-danger" onclick="Pulse.deleteToken('${t.tokenId}')">Delete</button>
                 </div>
             </div>
         `).join('');
     }
 
-    async function renderToken(tokenId) {
+    // A token belongs to the open project if it was created in it; tokens created
+    // before projects were recorded match by the project they were rendered from
+    function isCurrentProjectToken(token) {
+        if (!state.project || !tokenStore) return true;
+
+        const projectKey = tokenStore.getProjectKey(state.project.id, state.project.path);
+        if (token.projectKey) return token.projectKey === projectKey;
+        return !!token.projectPath && token.projectPath === state.project.path;
+    }
+
+    function renderStale(stale) {
+        const shown = stale.changes.slice(0, 5)
+            .map(change => `<div class="token-failure-detail">${esc(change)}</div>`)
+            .join('');
+        const more = stale.changes.length > 5 ? `<div class="token-failure-detail">and ${stale.changes.length - 5} more</div>` : '';
+
+        return `<div class="token-stale">Stale: precomp changed since this render. Mark it dirty to render again.${shown}${more}</div>`;
+    }
+
+    function renderFailure(failure) {
+        const where = [failure.category, failure.code, failure.frame != null ? `frame ${failure.frame}` : null]
+            .filter(Boolean).join(', ');
+        const problems = (failure.details || [])
+            .filter(d => d.type !== 'error')
+            .map(d => `<div class="token-failure-detail">${esc(d.type)}: ${esc(d.path || d.name || d.message)}</div>`)
+            .join('');
+
+        return `<div class="token-failure">${esc(failure.message)} (${esc(where)})${problems}</div>`;
+    }
+
+    function hasMissingFootage(token) {
+        const details = token.failure?.details || token.renderWarnings || [];
+        return details.some(d => d.type === 'missing-footage');
+    }
+
+    async function renderToken(tokenId, variant) {
         const token = state.tokens[tokenId];
         if (!token) return;
 
+        if (!state.workerAvailable) await checkWorker();
+
+        if (variant && variant !== 'full' && !state.workerAvailable) {
+            log('error', 'Quality variants are rendered by the worker; start the worker first');
+            return;
+        }
+
+        if (state.workerAvailable) {
+            try {
+                await renderTokenWithWorker(token, variant);
+                return;
+            } catch (e) {
+                if (!e.workerDown) {
+                    log('error', `Render failed: ${e.message}`);
+                    return;
+                }
+                state.workerAvailable = false;
+                log('warning', 'Worker unreachable, rendering in panel');
+            }
+        }
+
         if (!CONFIG.aerenderPath) {
             log('error', 'aerender not found');
             return;
         }
+        if (!tokenStore) {
+            log('error', 'Rendering in the panel needs the token files, reinstall Pulse');
+            return;
+        }
 
         log('info', `Rendering ${token.precompName}...`);
         updateStatus('busy');
         token.status = 'rendering';
+        touch(token);
         saveTokens();
         renderTokensList();
 
@@ -528,12 +720,16 @@
                 throw new Error('Save your project first');
             }
 
-            const outputDir = path.join(CONFIG.cacheDir, tokenId);
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
-            }
+            // The worker hard links frames shared between tokens; aerender would write through those links
+            removeRenderDir(token.renderDir);
+            fs.mkdirSync(token.renderDir, { recursive: true });
 
-            const outputPath = path.join(outputDir, `[#####].${CONFIG.format}`);
+            // Formats are only known once the worker has been reached; otherwise name the file after the format
+            const format = state.formats[token.format || CONFIG.format];
+            const outputName = format && !format.sequence
+                ? `render.${format.extension}`
+                : `${tokenStore.FRAME_PREFIX}[#####].${format ? format.extension : CONFIG.format}`;
+            const outputPath = path.join(token.renderDir, outputName);
 
             const args = [
                 '-project', projResult.path,
@@ -542,67 +738,197 @@
                 '-s', '0',
                 '-e', String(token.frameCount - 1)
             ];
+            if (format) {
+                await ensureOutputModuleTemplate(token, format);
+                args.push('-OMtemplate', format.template);
+            }
 
-            await runAerender(args);
+            await runAerender(args, tokenId);
 
             token.status = 'ready';
-            token.renderPath = outputDir;
+            token.renderFirstFrame = findFirstFrame(token.renderDir);
+            touch(token);
             saveTokens();
             log('success', `Rendered: ${token.precompName}`);
 
         } catch (e) {
-            token.status = 'error';
+            if (e.cancelled) {
+                token.status = 'pending';
+                log('info', `Render cancelled: ${token.precompName}`);
+            } else {
+                token.status = 'error';
+                log('error', `Render failed: ${e.message}`);
+            }
+            touch(token);
             saveTokens();
-            log('error', `Render failed: ${e.message}`);
         }
 
         updateStatus('ready');
         renderTokensList();
     }
 
-    function runAerender(args) {
+    async function renderTokenWithWorker(token, variant) {
+        const projResult = await evalScript('pulse_getProjectPath()');
+        if (!projResult?.success) {
+            throw new Error('Save your project first');
+        }
+
+        // Tokens created while the worker was down are registered on demand
+        if (!token.worker) {
+            token = await registerToken(token);
+        }
+
+        // Variants are added on first render; the worker works out their render settings
+        if (variant && variant !== 'full' && !token.variants?.[variant]) {
+            await workerRequest('POST', '/token/variant', { tokenId: token.tokenId, variant });
+            await syncWorkerTokens();
+            token = state.tokens[token.tokenId];
+        }
+        const target = getVariant(token, variant);
+
+        // aerender can only pick up resolution, field and motion blur overrides from a template
+        if (target.renderSettings?.templateName) {
+            // Passed as a string literal, so quotes and backslashes in template names stay intact
+            const settingsJson = JSON.stringify(target.renderSettings);
+            const template = await evalScript(`pulse_ensureRenderSettingsTemplate(${JSON.stringify(token.precompName)}, ${JSON.stringify(settingsJson)})`);
+            if (!template?.success) {
+                throw new Error(template?.error || 'Could not create render settings template');
+            }
+        }
+        if (!target.renderSettings?.outputModuleTemplate) {
+            await ensureOutputModuleTemplate(token, state.formats[token.format || CONFIG.format]);
+        }
+
+        await workerRequest('POST', '/token/render', {
+            tokenId: token.tokenId,
+            variant: variant,
+            projectPath: projResult.path
+        });
+
+        target.status = 'rendering';
+        target.progress = 0;
+        saveTokens();
+        renderTokensList();
+        log('info', `Queued on worker: ${variantLabel(token, variant)}`);
+    }
+
+    // Formats without a stock template render with one the panel saves from the format's settings
+    async function ensureOutputModuleTemplate(token, format) {
+        if (!format?.settings) return;
+
+        const formatJson = JSON.stringify({ template: format.template, settings: format.settings });
+        const result = await evalScript(`pulse_ensureOutputModuleTemplate(${JSON.stringify(token.precompName)}, ${JSON.stringify(formatJson)})`);
+        if (!result?.success) {
+            throw new Error(result?.error || `Could not create output module template ${format.template}`);
+        }
+    }
+
+    function runAerender(args, tokenId) {
         return new Promise((resolve, reject) => {
             console.log('[Pulse] aerender:', args.join(' '));
 
             const proc = spawn(CONFIG.aerenderPath, args);
             let output = '';
 
+            state.renderProcesses[tokenId] = proc;
+
             proc.stdout.on('data', d => output += d);
             proc.stderr.on('data', d => output += d);
 
             proc.on('close', code => {
-                if (code === 0) resolve(output);
-                else reject(new Error(`aerender exit code ${code}`));
+                delete state.renderProcesses[tokenId];
+
+                if (proc.cancelled) {
+                    const err = new Error('Render cancelled');
+                    err.cancelled = true;
+                    reject(err);
+                } else if (code === 0) {
+                    resolve(output);
+                } else {
+                    reject(new Error(`aerender exit code ${code}`));
+                }
             });
 
-            proc.on('error', reject);
+            proc.on('error', err => {
+                delete state.renderProcesses[tokenId];
+                reject(err);
+            });
         });
     }
 
-    async function swapToken(tokenId) {
+    async function cancelToken(tokenId, variant) {
         const token = state.tokens[tokenId];
-        if (!token || !token.renderPath) return;
-
-        // Find first frame
-        const files = fs.readdirSync(token.renderPath)
-            .filter(f => f.endsWith('.' + CONFIG.format))
-            .sort();
+        if (!token) return;
 
-        if (files.length === 0) {
-            log('error', 'No rendered frames found');
+        const proc = !variant && state.renderProcesses[tokenId];
+        if (proc) {
+            proc.cancelled = true;
+            proc.kill();
             return;
         }
 
-        const firstFrame = path.join(token.renderPath, files[0]).replace(/\\/g, '\\\\');
+        if (!token.worker) return;
 
         try {
-            const result = await evalScript(`pulse_swapToken("${tokenId}", "${firstFrame}", ${token.frameRate})`);
+            const result = await workerRequest('POST', '/queue/cancel', { tokenId, variant });
+            if (!result.success) {
+                log('warning', result.message || 'Nothing to cancel');
+            }
+        } catch (e) {
+            log('error', `Cancel failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * Swap in a token's render
+     * Without a variant, the best rendered variant for the active comp's resolution is used
+     */
+    async function swapToken(tokenId, variant) {
+        const token = state.tokens[tokenId];
+        if (!token) return;
+
+        try {
+            if (!variant) {
+                const comp = await evalScript('pulse_getCompState()');
+                variant = pickVariant(token, comp?.resolutionFactor || 1);
+            }
+            if (!variant) {
+                log('error', 'Token has no finished render');
+                return;
+            }
+
+            const target = getVariant(token, variant);
+            if (!target || !target.renderDir || !fs.existsSync(target.renderDir)) {
+                log('error', 'Render folder not found');
+                return;
+            }
+
+            const firstFramePath = findFirstFrame(target.renderDir);
+            if (!firstFramePath) {
+                log('error', 'No rendered frames found');
+                return;
+            }
+
+            const firstFrame = firstFramePath.replace(/\\/g, '\\\\');
+            const result = await evalScript(`pulse_swapToken("${tokenId}", "${firstFrame}", ${token.frameRate}, ${VARIANT_FACTORS[variant]}, "${CONFIG.swapMode}", ${JSON.stringify(token.precompName || '')}, ${token.precompId || 0})`);
 
             if (result?.success) {
-                token.status = 'swapped';
+                // Switching variants replaces the swapped-in footage
+                const previous = getSwappedVariant(token);
+                if (previous && previous !== variant) {
+                    markSwappedBack(getVariant(token, previous));
+                    notifyWorker('/token/swapback', token, previous);
+                }
+
+                target.status = 'swapped';
+                target.swappedIn = true;
+                touch(target);
+                // Restoring leaves no marker behind, so the next swap finds the precomp by its id
+                token.precompId = result.data.precompId;
                 saveTokens();
                 renderTokensList();
-                log('success', 'Token swapped in');
+                notifyWorker('/token/swapin', token, variant);
+                log('success', `Token swapped in: ${variantLabel(token, variant)}${describeComps(result.data)}`);
             } else {
                 log('error', result?.error || 'Swap failed');
             }
@@ -612,29 +938,323 @@
     }
 
     async function restoreToken(tokenId) {
+        const token = state.tokens[tokenId];
+        if (!token) return;
+
         try {
             const result = await evalScript(`pulse_restoreToken("${tokenId}")`);
 
             if (result?.success) {
-                state.tokens[tokenId].status = 'ready';
+                const variant = getSwappedVariant(token) || 'full';
+                markSwappedBack(getVariant(token, variant));
                 saveTokens();
                 renderTokensList();
-                log('success', 'Token restored');
+                notifyWorker('/token/swapback', token, variant);
+                log('success', `Token restored${describeComps(result.data)}`);
+            } else {
+                log('error', result?.error || 'Restore failed');
             }
         } catch (e) {
             log('error', e.message);
         }
     }
 
-    function deleteToken(tokenId) {
-        if (!confirm('Delete this token?')) return;
+    /**
+     * Comps a swap or restore touched, for the log
+     */
+    function describeComps(data) {
+        const comps = data?.comps || [];
+        return comps.length ? ` (in ${comps.length} comp${comps.length === 1 ? '' : 's'}: ${comps.join(', ')})` : '';
+    }
+
+    /**
+     * Swap every swapped-in token to the variant that fits a comp resolution factor
+     */
+    async function swapVariantsForResolution(factor) {
+        for (const token of Object.values(state.tokens)) {
+            const current = getSwappedVariant(token);
+            if (!current) continue;
+
+            const variant = pickVariant(token, factor);
+            if (variant && variant !== current) {
+                await swapToken(token.tokenId, variant);
+            }
+        }
+    }
+
+    function getVariant(token, variant) {
+        return !variant || variant === 'full' ? token : token.variants?.[variant];
+    }
+
+    function getSwappedVariant(token) {
+        if (isSwappedIn(token)) return 'full';
+        return Object.keys(token.variants || {}).find(v => isSwappedIn(token.variants[v])) || null;
+    }
+
+    function isSwappedIn(entry) {
+        return tokenStore ? tokenStore.isSwappedIn(entry) : entry?.status === 'swapped';
+    }
+
+    // A token marked dirty while swapped in stays dirty (matches the worker's /token/swapback)
+    function markSwappedBack(entry) {
+        if (entry.status === 'swapped') entry.status = 'ready';
+        entry.swappedIn = false;
+        touch(entry);
+    }
+
+    // Marks a change the panel made itself: when the panel and the worker both save a token,
+    // the copy updated last is kept, so mirrored worker state never overwrites the worker's own
+    function touch(entry) {
+        entry.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Pick the rendered variant for a comp resolution factor: the best quality not
+     * finer than the comp needs, or else the closest one rendered
+     */
+    function pickVariant(token, factor) {
+        const rendered = Object.keys(VARIANT_FACTORS)
+            .filter(v => ['ready', 'swapped'].includes(getVariant(token, v)?.status));
+
+        const fitting = rendered
+            .filter(v => VARIANT_FACTORS[v] <= factor)
+            .sort((a, b) => VARIANT_FACTORS[b] - VARIANT_FACTORS[a]);
+        if (fitting.length > 0) return fitting[0];
+
+        return rendered.sort((a, b) => VARIANT_FACTORS[a] - VARIANT_FACTORS[b])[0] || null;
+    }
+
+    function variantLabel(token, variant) {
+        return !variant || variant === 'full' ? token.precompName : `${token.precompName} (${variant})`;
+    }
+
+    // Returns the id of the token to render: a stale token is replaced by one for its precomp's new content
+    async function markTokenDirty(tokenId, workAreaOnly) {
+        const token = state.tokens[tokenId];
+        if (!token) return null;
+
+        try {
+            // A stale token moves on to a token for the precomp's new description, which isn't stale
+            const summary = state.stale[tokenId] ? state.descriptions[tokenId] : undefined;
+
+            // Every frame of a stale token is out of date, whatever the work area
+            let ranges;
+            if (workAreaOnly && !summary) {
+                const area = await evalScript(`pulse_getPrecompWorkArea(${JSON.stringify(token.precompName)})`);
+                if (!area?.success) {
+                    throw new Error(area?.error || 'Could not read work area');
+                }
+                ranges = [{ startTime: area.startTime, endTime: area.endTime }];
+            }
+
+            let target = token;
+            let retired = null;
+
+            if (token.worker && state.workerAvailable) {
+                const result = await workerRequest('POST', '/token/dirty', { tokenId, ranges, summary });
+                target = state.tokens[result.token.tokenId] = fromWorkerToken(result.token);
+                retired = result.retired || null;
+            } else if (summary) {
+                const replaced = replaceTokenContent(token, summary);
+                target = replaced.token;
+                retired = replaced.retired;
+            } else {
+                // In-panel renders always redo the whole token
+                token.status = 'dirty';
+                touch(token);
+            }
+
+            if (retired) {
+                delete state.tokens[retired];
+                delete state.stale[retired];
+                delete state.descriptions[retired];
+            }
+
+            saveTokens(retired ? [retired] : []);
+            renderTokensList();
+            if (target !== token) {
+                log('info', `Token replaced: ${token.precompName} changed, ${target.tokenId} renders the new content`);
+            } else {
+                log('info', ranges ? `Work area marked dirty: ${token.precompName}` : `Token marked dirty: ${token.precompName}`);
+            }
+            return target.tokenId;
+        } catch (e) {
+            log('error', e.message);
+            return null;
+        }
+    }
+
+    // Panel-side counterpart of the worker's replaceContent, for when the worker isn't running
+    // Returns { token, retired } with retired the old token's id, unless it is swapped in
+    function replaceTokenContent(token, summary) {
+        const hash = tokenStore.getContentHash(summary);
+        const tokenId = tokenStore.getTokenId(token.precompName, hash, token.renderSettings, token.projectKey);
+        if (tokenId === token.tokenId) {
+            token.status = 'dirty';
+            touch(token);
+            return { token, retired: null };
+        }
+
+        if (!state.tokens[tokenId]) {
+            const replacement = Object.assign({}, token, {
+                tokenId: tokenId,
+                hash: hash,
+                fingerprint: tokenStore.getFingerprint(summary),
+                status: 'pending',
+                renderDir: tokenStore.getRenderDir(CONFIG.cacheDir, tokenId, token.projectFolder),
+                renderFirstFrame: null,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            });
+            // Registered with the worker as a new token once it is reachable
+            delete replacement.worker;
+            delete replacement.variants;
+            state.tokens[tokenId] = replacement;
+        }
+
+        const renders = [token].concat(Object.values(token.variants || {}));
+        if (renders.some(isSwappedIn)) {
+            return { token: state.tokens[tokenId], retired: null };
+        }
+
+        renders.forEach(r => removeRenderDir(r.renderDir));
+        return { token: state.tokens[tokenId], retired: token.tokenId };
+    }
+
+    // Re-describe the precomps of the open project's rendered tokens and flag the ones whose hash moved on
+    async function checkStaleTokens() {
+        if (!state.ready || !CONFIG.staleCheck.enabled || state.staleCheckRunning || !tokenStore) return;
+
+        // Tokens hashed before fingerprints were recorded can't be compared
+        const tokens = Object.values(state.tokens).filter(t =>
+            t.fingerprint && ['ready', 'swapped'].includes(t.status) && isCurrentProjectToken(t));
+        if (tokens.length === 0) return;
+
+        state.staleCheckRunning = true;
+        let changed = false;
+
+        try {
+            // Tokens of one precomp (other settings or formats) share its description
+            const descriptions = {};
+
+            for (const token of tokens) {
+                const key = token.precompId || token.precompName;
+                if (!(key in descriptions)) {
+                    const result = await evalScript(describePrecompScript(token));
+                    descriptions[key] = result?.success ? result.description : null;
+                }
+
+                // A deleted precomp can't be checked
+                const description = descriptions[key];
+                if (!description) continue;
+
+                const hash = tokenStore.getContentHash(description);
+                if (hash === token.hash) {
+                    if (state.stale[token.tokenId]) {
+                        delete state.stale[token.tokenId];
+                        delete state.descriptions[token.tokenId];
+                        changed = true;
+                    }
+                    continue;
+                }
+                if (state.stale[token.tokenId]?.hash === hash) continue;
+
+                const changes = tokenStore.diffFingerprints(token.fingerprint, tokenStore.getFingerprint(description));
+                state.stale[token.tokenId] = { hash, changes, detectedAt: new Date().toISOString() };
+                state.descriptions[token.tokenId] = description;
+                changed = true;
+                log('warning', `Token stale: ${token.precompName} (${changes[0]}${changes.length > 1 ? ` and ${changes.length - 1} more` : ''})`);
+
+                if (CONFIG.staleCheck.autoRender) {
+                    await rerenderStaleToken(token.tokenId);
+                }
+            }
+        } catch (e) {
+            console.warn('[Pulse] Stale check failed:', e.message);
+        }
+
+        state.staleCheckRunning = false;
+        if (changed) renderTokensList();
+    }
+
+    // Background re-renders go through the worker; the in-panel fallback would block the panel
+    async function rerenderStaleToken(tokenId) {
+        const token = state.tokens[tokenId];
+        if (!token?.worker || !state.workerAvailable) {
+            log('info', `Not re-rendering ${token.precompName} automatically: the worker isn't running`);
+            return;
+        }
+
+        const target = await markTokenDirty(tokenId, false);
+        if (target && ['dirty', 'pending'].includes(state.tokens[target].status)) {
+            await renderToken(target);
+        }
+    }
+
+    async function deleteToken(tokenId) {
+        const token = state.tokens[tokenId];
+        if (!token) return;
+
+        const renders = [token].concat(Object.values(token.variants || {}));
+        if (renders.some(isSwappedIn)) {
+            log('error', 'Restore the precomp before deleting its token');
+            return;
+        }
+        if (!confirm('Delete this token and its rendered frames?')) return;
+
+        let deletedByWorker = false;
+        if (token.worker && state.workerAvailable) {
+            try {
+                await workerRequest('DELETE', `/token/${encodeURIComponent(tokenId)}`);
+                deletedByWorker = true;
+            } catch (e) {
+                if (!e.workerDown) {
+                    log('error', `Delete failed: ${e.message}`);
+                    return;
+                }
+            }
+        }
+
+        if (!deletedByWorker) {
+            renders.forEach(r => removeRenderDir(r.renderDir));
+        }
 
         delete state.tokens[tokenId];
-        saveTokens();
+        saveTokens([tokenId]);
         renderTokensList();
         log('info', 'Token deleted');
     }
 
+    function removeRenderDir(renderDir) {
+        if (!nodeAvailable || !renderDir || !fs.existsSync(renderDir)) return;
+
+        try {
+            fs.readdirSync(renderDir).forEach(f => fs.unlinkSync(path.join(renderDir, f)));
+            fs.rmdirSync(renderDir);
+        } catch (e) {
+            console.warn('[Pulse] Could not remove render folder:', e.message);
+        }
+    }
+
+    async function collectMissingFootage() {
+        try {
+            const result = await evalScript('pulse_selectMissingFootage()');
+
+            if (!result?.success) {
+                log('error', result?.error || 'Could not find missing footage');
+                return;
+            }
+
+            if (result.count > 0) {
+                log('warning', `Selected ${result.count} missing footage item(s) in the Project panel`);
+            } else {
+                log('info', 'No missing footage in project');
+            }
+        } catch (e) {
+            log('error', e.message);
+        }
+    }
+
     // ==================== Profiler ====================
     async function runProfiler() {
         log('info', 'Running profiler...');
@@ -757,6 +1377,17 @@
         } catch (e) {}
     }
 
+    async function refreshProject() {
+        try {
+            const result = await evalScript('pulse_getProjectInfo()');
+            if (!result?.success) return;
+
+            const changed = result.path !== state.project?.path || result.id !== state.project?.id;
+            state.project = { path: result.path, name: result.name, id: result.id };
+            if (changed) renderTokensList();
+        } catch (e) {}
+    }
+
     function renderCompSummary(data) {
         const el = document.getElementById('comp-summary');
         if (!el) return;
@@ -789,6 +1420,9 @@
         setVal('setting-cache-dir', CONFIG.cacheDir);
         setVal('setting-format', CONFIG.format);
         setVal('setting-aerender', CONFIG.aerenderPath || '');
+        setVal('setting-swap-mode', CONFIG.swapMode);
+        setChecked('setting-stale-check', CONFIG.staleCheck.enabled);
+        setChecked('setting-stale-auto-render', CONFIG.staleCheck.autoRender);
 
         // Update button state
         const btn = document.getElementById('btn-auto-draft-toggle');
@@ -802,6 +1436,10 @@
         CONFIG.cacheDir = getVal('setting-cache-dir') || CONFIG.cacheDir;
         CONFIG.format = getVal('setting-format') || 'png';
         CONFIG.aerenderPath = getVal('setting-aerender') || CONFIG.aerenderPath;
+        CONFIG.swapMode = getVal('setting-swap-mode') || 'duplicate';
+        CONFIG.staleCheck.enabled = getChecked('setting-stale-check');
+        CONFIG.staleCheck.autoRender = getChecked('setting-stale-auto-render');
+        startStaleCheck();
 
         if (nodeAvailable && CONFIG.cacheDir && !fs.existsSync(CONFIG.cacheDir)) {
             fs.mkdirSync(CONFIG.cacheDir, { recursive: true });
@@ -809,6 +1447,14 @@
 
         saveConfig();
         log('success', 'Settings saved');
+
+        if (state.workerAvailable) {
+            workerRequest('POST', '/config', {
+                cacheDir: CONFIG.cacheDir,
+                format: CONFIG.format,
+                aerenderPath: CONFIG.aerenderPath
+            }).catch(e => log('warning', `Worker config not updated: ${e.message}`));
+        }
     }
 
     function openCacheFolder() {
@@ -825,8 +1471,12 @@
 
         const configPath = path.join(CONFIG.cacheDir, 'config.json');
         try {
-            if (fs.existsSync(configPath)) {
-                const data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            const { data, recoveredFrom } = safeFile ? safeFile.readJSON(configPath)
+                : { data: fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : null };
+            if (recoveredFrom) {
+                log('warning', `Settings file was corrupt, restored from ${path.basename(recoveredFrom)}`);
+            }
+            if (data) {
                 Object.assign(CONFIG, data);
             }
         } catch (e) {
@@ -839,32 +1489,281 @@
 
         const configPath = path.join(CONFIG.cacheDir, 'config.json');
         try {
-            fs.writeFileSync(configPath, JSON.stringify(CONFIG, null, 2));
+            const json = JSON.stringify(CONFIG, null, 2);
+            if (safeFile) {
+                safeFile.writeFileAtomic(configPath, json);
+            } else {
+                fs.writeFileSync(configPath, json);
+            }
         } catch (e) {
             console.error('[Pulse] Config save error:', e);
         }
     }
 
     function loadTokens() {
-        if (!nodeAvailable) return;
+        if (!nodeAvailable || !tokenStore) return;
 
-        const tokensPath = path.join(CONFIG.cacheDir, 'tokens.json');
         try {
-            if (fs.existsSync(tokensPath)) {
-                state.tokens = JSON.parse(fs.readFileSync(tokensPath, 'utf8'));
+            const loaded = tokenStore.load(CONFIG.cacheDir);
+            state.tokens = loaded.tokens;
+            if (loaded.recoveredFrom) {
+                log('warning', `tokens.json was corrupt, restored from ${path.basename(loaded.recoveredFrom)}`);
+            }
+            if (loaded.migratedFrom) {
+                console.log('[Pulse] Migrated tokens.json from', loaded.migratedFrom);
             }
         } catch (e) {
+            console.error('[Pulse] Tokens load error:', e);
             state.tokens = {};
         }
     }
 
-    function saveTokens() {
-        if (!nodeAvailable) return;
+    function saveTokens(removed) {
+        if (!nodeAvailable || !tokenStore) return;
 
-        const tokensPath = path.join(CONFIG.cacheDir, 'tokens.json');
         try {
-            fs.writeFileSync(tokensPath, JSON.stringify(state.tokens, null, 2));
-        } catch (e) {}
+            const saved = tokenStore.save(CONFIG.cacheDir, state.tokens, { removed: removed || [] });
+            // Tokens the worker deleted or changed in the meantime
+            tokenStore.adoptSaved(state.tokens, saved);
+        } catch (e) {
+            console.error('[Pulse] Tokens save error:', e);
+        }
+    }
+
+    function findFirstFrame(renderDir) {
+        try {
+            const files = fs.readdirSync(renderDir)
+                .filter(f => /\.(png|exr|tif|tiff|jpg|jpeg|mov)$/i.test(f))
+                .sort();
+            return files.length > 0 ? path.join(renderDir, files[0]) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // ==================== Worker API ====================
+    async function workerRequest(method, endpoint, body) {
+        const options = {
+            method: method,
+            headers: { 'Content-Type': 'application/json' }
+        };
+        if (body) options.body = JSON.stringify(body);
+
+        let response;
+        try {
+            response = await Promise.race([
+                fetch(CONFIG.workerUrl + endpoint, options),
+                new Promise((resolve, reject) => setTimeout(() => reject(new Error('Worker timeout')), WORKER_TIMEOUT))
+            ]);
+        } catch (e) {
+            const err = new Error(`Worker unreachable: ${e.message}`);
+            err.workerDown = true;
+            throw err;
+        }
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `Worker error ${response.status}`);
+        }
+        return data;
+    }
+
+    async function checkWorker() {
+        try {
+            const health = await workerRequest('GET', '/health');
+            state.workerAvailable = health.status === 'ok';
+        } catch (e) {
+            state.workerAvailable = false;
+        }
+
+        if (state.workerAvailable) {
+            console.log('[Pulse] Worker connected:', CONFIG.workerUrl);
+            await loadWorkerFormats();
+            await syncWorkerTokens();
+            connectWorkerEvents();
+        } else {
+            console.warn('[Pulse] Worker not running, renders will run in panel');
+        }
+
+        return state.workerAvailable;
+    }
+
+    async function syncWorkerTokens() {
+        try {
+            const result = await workerRequest('GET', '/tokens');
+            (result.tokens || []).forEach(t => {
+                state.tokens[t.tokenId] = fromWorkerToken(t);
+            });
+            saveTokens();
+            renderTokensList();
+        } catch (e) {
+            console.warn('[Pulse] Token sync failed:', e.message);
+        }
+    }
+
+    async function loadWorkerFormats() {
+        try {
+            const result = await workerRequest('GET', '/formats');
+            state.formats = {};
+            (result.formats || []).forEach(f => {
+                state.formats[f.name] = f;
+            });
+
+            // Offer custom formats in settings too
+            const select = document.getElementById('setting-format');
+            if (select) {
+                select.innerHTML = (result.formats || []).map(f =>
+                    `<option value="${esc(f.name)}">${esc(f.label)}${f.alpha ? '' : ' (no alpha)'}</option>`
+                ).join('');
+                select.value = CONFIG.format;
+            }
+        } catch (e) {
+            console.warn('[Pulse] Format list failed:', e.message);
+        }
+    }
+
+    function fromWorkerToken(t) {
+        const existing = state.tokens[t.tokenId] || {};
+
+        // Both sides share the tokens.json schema; keep panel-only fields such as cost
+        return Object.assign({}, existing, t, { worker: true });
+    }
+
+    async function registerToken(token) {
+        const summary = await describeToken(token);
+        const result = await workerRequest('POST', '/token/create', {
+            compName: token.compName,
+            precompName: token.precompName,
+            precompId: token.precompId,
+            layerIndex: token.layerIndex,
+            frameRate: token.frameRate,
+            duration: token.duration,
+            startFrame: token.startFrame,
+            width: token.width,
+            height: token.height,
+            format: token.format || CONFIG.format,
+            projectPath: token.projectPath,
+            projectId: token.projectId,
+            summary: summary
+        });
+
+        // The worker owns the token id; re-key the panel entry to match
+        const removed = [];
+        delete state.descriptions[token.tokenId];
+        if (result.tokenId !== token.tokenId) {
+            delete state.tokens[token.tokenId];
+            removed.push(token.tokenId);
+        }
+        state.tokens[result.tokenId] = Object.assign(token, fromWorkerToken(result.token));
+        saveTokens(removed);
+
+        return state.tokens[result.tokenId];
+    }
+
+    // The description a token was created from, or the precomp as it is now once the panel was reloaded
+    async function describeToken(token) {
+        if (state.descriptions[token.tokenId]) return state.descriptions[token.tokenId];
+
+        const result = await evalScript(describePrecompScript(token));
+        if (!result?.success) {
+            throw new Error(result?.error || `Could not describe ${token.precompName}`);
+        }
+        return result.description;
+    }
+
+    // The precomp is found by item id, so renaming it doesn't lose the token
+    function describePrecompScript(token) {
+        return `pulse_describePrecomp(${JSON.stringify(token.precompName || '')}, ${token.precompId || 0})`;
+    }
+
+    function notifyWorker(endpoint, token, variant) {
+        if (!state.workerAvailable || !token?.worker) return;
+
+        workerRequest('POST', endpoint, { tokenId: token.tokenId, variant: variant })
+            .catch(e => console.warn('[Pulse] Worker notify failed:', e.message));
+    }
+
+    function connectWorkerEvents() {
+        if (state.workerEvents || typeof EventSource === 'undefined') return;
+
+        const source = new EventSource(CONFIG.workerUrl + '/events');
+
+        ['job:progress', 'job:finished', 'job:failed', 'job:cancelled', 'token:status', 'token:deleted'].forEach(type => {
+            source.addEventListener(type, e => {
+                try {
+                    onWorkerEvent(JSON.parse(e.data));
+                } catch (err) {}
+            });
+        });
+
+        // EventSource reconnects on its own; resync tokens once the worker is back
+        source.onopen = () => {
+            if (!state.workerAvailable) {
+                state.workerAvailable = true;
+                syncWorkerTokens();
+            }
+        };
+        source.onerror = () => {
+            state.workerAvailable = false;
+        };
+
+        state.workerEvents = source;
+    }
+
+    function onWorkerEvent(event) {
+        if (!tokenStore) return;
+
+        // Events of a quality variant carry "<tokenId>@<variant>"
+        const { tokenId, variant } = tokenStore.parseVariantId(event.tokenId || '');
+        const token = state.tokens[tokenId];
+        if (!token) return;
+
+        // Deleted through the API or by a cache prune
+        if (event.type === 'token:deleted') {
+            if (variant !== 'full') {
+                delete token.variants?.[variant];
+                saveTokens();
+            } else {
+                delete state.tokens[tokenId];
+                saveTokens([tokenId]);
+            }
+            renderTokensList();
+            return;
+        }
+
+        if (variant !== 'full' && !token.variants?.[variant]) {
+            token.variants = Object.assign({}, token.variants, { [variant]: {} });
+        }
+        const target = getVariant(token, variant);
+        const label = variantLabel(token, variant);
+
+        switch (event.type) {
+            case 'job:progress':
+                target.progress = event.percent;
+                break;
+            case 'job:finished':
+                target.failure = null;
+                target.renderWarnings = event.warnings || [];
+                log('success', `Rendered: ${label} (${event.duration}s)`);
+                if (target.renderWarnings.length > 0) {
+                    log('warning', `${label}: ${target.renderWarnings.length} warning(s) during render`);
+                }
+                break;
+            case 'job:failed':
+                target.failure = event.failure || null;
+                log('error', `Render failed: ${label}: ${event.error}`);
+                break;
+            case 'job:cancelled':
+                log('info', `Render cancelled: ${label}`);
+                break;
+            case 'token:status':
+                target.status = event.status;
+                if (event.status !== 'rendering') delete target.progress;
+                saveTokens();
+                break;
+        }
+
+        renderTokensList();
     }
 
     // ==================== ExtendScript ====================
@@ -947,15 +1846,21 @@
         return div.innerHTML;
     }
 
-    function sanitize(str) {
-        return str.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 32);
-    }
-
     function setVal(id, val) {
         const el = document.getElementById(id);
         if (el) el.value = val || '';
     }
 
+    function setChecked(id, checked) {
+        const el = document.getElementById(id);
+        if (el) el.checked = !!checked;
+    }
+
+    function getChecked(id) {
+        const el = document.getElementById(id);
+        return el ? el.checked : false;
+    }
+
     function getVal(id) {
         return document.getElementById(id)?.value || '';
     }
@@ -963,11 +1868,14 @@
     // ==================== Public API ====================
     window.Pulse = {
         renderToken,
+        cancelToken,
+        markTokenDirty,
         swapToken,
         restoreToken,
         deleteToken,
         createTokenForLayer,
-        executeRecommendation
+        executeRecommendation,
+        collectMissingFootage
     };
 
 })();
@@ -56,6 +56,14 @@ function isPrecompLayer(layer) {
     try { return layer.source && layer.source instanceof CompItem; } catch (e) { return false; }
 }
 
+function findCompByName(name) {
+    for (var i = 1; i <= app.project.numItems; i++) {
+        var item = app.project.item(i);
+        if (item instanceof CompItem && item.name === name) return item;
+    }
+    return null;
+}
+
 // ==================== State Storage ====================
 var PULSE_STATE = {
     draftActive: false,
@@ -467,104 +475,348 @@ function pulse_restoreDraft() {
 
 // ==================== Render Token System ====================
 
+// Layer properties that don't change a layer's pixels
+var UNRENDERED_PROPERTIES = { 'ADBE Marker': true, 'ADBE Audio Group': true };
+
+// Frame file name of an image sequence: name, frame number, extension
+var SEQUENCE_FILE = /^(.*?)(\d+)(\.[^.]+)$/;
+// Still image formats AE imports as sequences; numbered movie files are separate clips
+var IMAGE_FILE = /\.(png|jpe?g|tiff?|exr|dpx|cin|tga|psd|bmp|hdr|sgi|rla|rpf|iff|dng)$/i;
+
 /**
- * Generate deterministic hash for a layer/precomp
- * Captures all render-affecting parameters
+ * Read a property, returning null where the current layer or AE version doesn't have it
  */
-function pulse_generateTokenHash(layerIndex) {
+function readSafely(read) {
     try {
-        var comp = getActiveComp();
-        if (!comp) return result(false, null, 'No active composition');
+        var value = read();
+        return value === undefined ? null : value;
+    } catch (e) {
+        return null;
+    }
+}
 
-        var layer = comp.layer(layerIndex);
-        if (!layer) return result(false, null, 'Layer not found');
-        if (!isPrecompLayer(layer)) return result(false, null, 'Not a precomp layer');
+/**
+ * JSON-safe copy of a property value, including text documents and mask or shape paths
+ * Values that can't be described (markers) become null
+ */
+function describeValue(value) {
+    var type = typeof value;
+    if (type === 'number' || type === 'boolean' || type === 'string') return value;
+
+    if (value instanceof Array) {
+        var values = [];
+        for (var i = 0; i < value.length; i++) values.push(describeValue(value[i]));
+        return values;
+    }
 
-        var precomp = layer.source;
-        var hashData = [];
-
-        // Precomp identity
-        hashData.push('name:' + precomp.name);
-        hashData.push('size:' + precomp.width + 'x' + precomp.height);
-        hashData.push('fps:' + precomp.frameRate);
-        hashData.push('dur:' + precomp.duration.toFixed(4));
-        hashData.push('layers:' + precomp.numLayers);
-
-        // Capture layer structure (first 30 layers)
-        var maxLayers = Math.min(precomp.numLayers, 30);
-        for (var i = 1; i <= maxLayers; i++) {
-            var subLayer = precomp.layer(i);
-            var layerHash = [];
-
-            layerHash.push(subLayer.name);
-            layerHash.push(subLayer.enabled ? '1' : '0');
-            layerHash.push(subLayer.inPoint.toFixed(3));
-            layerHash.push(subLayer.outPoint.toFixed(3));
-
-            // Source identity
-            try {
-                if (subLayer.source) {
-                    if (subLayer.source.file) {
-                        layerHash.push('file:' + subLayer.source.file.modified.getTime());
-                    } else if (subLayer.source instanceof CompItem) {
-                        layerHash.push('comp:' + subLayer.source.name);
-                    }
-                }
-            } catch (e) {}
+    if (value instanceof TextDocument) {
+        return {
+            text: value.text,
+            font: readSafely(function() { return value.font; }),
+            fontSize: readSafely(function() { return value.fontSize; }),
+            applyFill: readSafely(function() { return value.applyFill; }),
+            fillColor: readSafely(function() { return value.applyFill ? describeValue(value.fillColor) : null; }),
+            applyStroke: readSafely(function() { return value.applyStroke; }),
+            strokeColor: readSafely(function() { return value.applyStroke ? describeValue(value.strokeColor) : null; }),
+            strokeWidth: readSafely(function() { return value.applyStroke ? value.strokeWidth : null; }),
+            strokeOverFill: readSafely(function() { return value.applyStroke ? value.strokeOverFill : null; }),
+            justification: readSafely(function() { return Number(value.justification); }),
+            tracking: readSafely(function() { return value.tracking; }),
+            leading: readSafely(function() { return value.leading; }),
+            baselineShift: readSafely(function() { return value.baselineShift; }),
+            horizontalScale: readSafely(function() { return value.horizontalScale; }),
+            verticalScale: readSafely(function() { return value.verticalScale; }),
+            fauxBold: readSafely(function() { return value.fauxBold; }),
+            fauxItalic: readSafely(function() { return value.fauxItalic; }),
+            allCaps: readSafely(function() { return value.allCaps; }),
+            smallCaps: readSafely(function() { return value.smallCaps; }),
+            boxTextSize: readSafely(function() { return value.boxText ? describeValue(value.boxTextSize) : null; }),
+            boxTextPos: readSafely(function() { return value.boxText ? describeValue(value.boxTextPos) : null; })
+        };
+    }
 
-            // Effect parameters (first 5 effects, first 3 params each)
-            try {
-                var effects = subLayer.property('Effects');
-                if (effects) {
-                    var maxEffects = Math.min(effects.numProperties, 5);
-                    for (var e = 1; e <= maxEffects; e++) {
-                        var effect = effects.property(e);
-                        layerHash.push('fx:' + effect.matchName);
-
-                        // Capture key property values
-                        var maxProps = Math.min(effect.numProperties, 3);
-                        for (var p = 1; p <= maxProps; p++) {
-                            try {
-                                var prop = effect.property(p);
-                                if (prop.value !== undefined) {
-                                    if (typeof prop.value === 'number') {
-                                        layerHash.push(prop.value.toFixed(2));
-                                    } else if (prop.value instanceof Array) {
-                                        layerHash.push(prop.value.join(','));
-                                    }
-                                }
-                            } catch (pe) {}
-                        }
-                    }
-                }
-            } catch (e) {}
+    if (value instanceof Shape) {
+        return {
+            vertices: describeValue(value.vertices),
+            inTangents: describeValue(value.inTangents),
+            outTangents: describeValue(value.outTangents),
+            closed: value.closed,
+            featherSegLocs: readSafely(function() { return describeValue(value.featherSegLocs); }),
+            featherRelSegLocs: readSafely(function() { return describeValue(value.featherRelSegLocs); }),
+            featherRadii: readSafely(function() { return describeValue(value.featherRadii); })
+        };
+    }
 
-            // Transform state
-            try {
-                var transform = subLayer.transform;
-                layerHash.push('pos:' + transform.position.value.join(','));
-                layerHash.push('scl:' + transform.scale.value.join(','));
-                layerHash.push('rot:' + (transform.rotation ? transform.rotation.value : transform.zRotation.value));
-                layerHash.push('opa:' + transform.opacity.value);
-            } catch (e) {}
+    return null;
+}
+
+/**
+ * Temporal ease of one side of a keyframe as [speed, influence] pairs
+ */
+function describeEase(ease) {
+    var pairs = [];
+    for (var i = 0; i < ease.length; i++) pairs.push([ease[i].speed, ease[i].influence]);
+    return pairs;
+}
+
+/**
+ * Every keyframe of a property: time, value, interpolation, easing and spatial tangents
+ */
+function describeKeys(prop) {
+    var keys = [];
+
+    for (var k = 1; k <= prop.numKeys; k++) {
+        var key = {
+            time: prop.keyTime(k),
+            value: describeValue(prop.keyValue(k)),
+            inInterpolation: Number(prop.keyInInterpolationType(k)),
+            outInterpolation: Number(prop.keyOutInterpolationType(k)),
+            inEase: readSafely(function() { return describeEase(prop.keyInTemporalEase(k)); }),
+            outEase: readSafely(function() { return describeEase(prop.keyOutTemporalEase(k)); }),
+            roving: readSafely(function() { return prop.keyRoving(k); })
+        };
+
+        if (prop.isSpatial) {
+            key.inTangent = readSafely(function() { return describeValue(prop.keyInSpatialTangent(k)); });
+            key.outTangent = readSafely(function() { return describeValue(prop.keyOutSpatialTangent(k)); });
+        }
+
+        keys.push(key);
+    }
+
+    return keys;
+}
+
+/**
+ * Describe a property or property group and everything under it
+ * Animated properties list their keyframes instead of the value at the CTI, which
+ * would change while scrubbing; expressions are recorded as written
+ */
+function describeProperty(prop) {
+    if (!prop || UNRENDERED_PROPERTIES[prop.matchName]) return null;
+
+    try {
+        if (prop.propertyType === PropertyType.PROPERTY) {
+            if (prop.propertyValueType === PropertyValueType.NO_VALUE) return null;
+
+            var entry = { matchName: prop.matchName };
+            if (prop.numKeys > 0) {
+                entry.keys = describeKeys(prop);
+            } else {
+                entry.value = describeValue(prop.value);
+            }
+            if (prop.canSetExpression && prop.expressionEnabled && prop.expression) {
+                entry.expression = prop.expression;
+            }
+            return entry;
+        }
 
-            hashData.push('L' + i + ':' + layerHash.join('|'));
+        var group = { matchName: prop.matchName, properties: [] };
+        group.enabled = readSafely(function() { return prop.enabled; });
+        // Mask modes and the like are attributes of the group, not child properties
+        if (prop.matchName === 'ADBE Mask Atom') {
+            group.maskMode = Number(prop.maskMode);
+            group.inverted = prop.inverted;
         }
 
-        // Create simple hash from data
-        var hashString = hashData.join(';;');
-        var hash = 0;
-        for (var c = 0; c < hashString.length; c++) {
-            hash = ((hash << 5) - hash) + hashString.charCodeAt(c);
-            hash = hash & hash; // Convert to 32bit integer
+        for (var i = 1; i <= prop.numProperties; i++) {
+            var child = describeProperty(prop.property(i));
+            if (child) group.properties.push(child);
+        }
+        return group;
+    } catch (e) {
+        // Hidden or unavailable properties can't be read
+        return null;
+    }
+}
+
+/**
+ * Frame count, total size and latest modification time of the files of an image sequence
+ * Frames of the sequence are the files in its folder named like the first one, with another number
+ */
+function describeSequenceFiles(file) {
+    var first = file.name.match(SEQUENCE_FILE);
+    if (!first) return null;
+
+    var files = file.parent.getFiles();
+    var sequence = { frames: 0, size: 0, modified: 0 };
+
+    for (var i = 0; i < files.length; i++) {
+        if (!(files[i] instanceof File)) continue;
+        var match = files[i].name.match(SEQUENCE_FILE);
+        if (!match || match[1] !== first[1] || match[3].toLowerCase() !== first[3].toLowerCase()) continue;
+
+        sequence.frames++;
+        sequence.size += files[i].length;
+        sequence.modified = Math.max(sequence.modified, files[i].modified.getTime());
+    }
+
+    return sequence;
+}
+
+/**
+ * Describe a footage item: its file with size and modification time, or a solid or placeholder,
+ * along with how it is interpreted
+ * Image sequences are described by all of their frame files, not just the first one
+ */
+function describeFootage(item) {
+    var description = { type: 'footage', name: item.name, width: item.width, height: item.height };
+    var source = item.mainSource;
+
+    if (source instanceof SolidSource) {
+        description.type = 'solid';
+        description.color = describeValue(source.color);
+    } else if (source instanceof PlaceholderSource) {
+        description.type = 'placeholder';
+    } else if (item.file) {
+        // A file replaced by one with the same timestamp still differs in size most of the time
+        description.path = item.file.fsName;
+        description.modified = readSafely(function() { return item.file.modified.getTime(); });
+        description.size = readSafely(function() { return item.file.length; });
+        description.missing = item.footageMissing;
+        if (!source.isStill && !item.footageMissing && SEQUENCE_FILE.test(item.file.name) && IMAGE_FILE.test(item.file.name)) {
+            description.sequence = readSafely(function() { return describeSequenceFiles(item.file); });
         }
-        hash = Math.abs(hash).toString(16).slice(0, 8);
+    }
+
+    description.interpretation = {
+        alphaMode: readSafely(function() { return Number(source.alphaMode); }),
+        invertAlpha: readSafely(function() { return source.invertAlpha; }),
+        premulColor: readSafely(function() { return describeValue(source.premulColor); }),
+        conformFrameRate: readSafely(function() { return source.conformFrameRate; }),
+        fieldSeparationType: readSafely(function() { return Number(source.fieldSeparationType); }),
+        removePulldown: readSafely(function() { return Number(source.removePulldown); }),
+        loop: readSafely(function() { return source.loop; }),
+        pixelAspect: readSafely(function() { return item.pixelAspect; })
+    };
+
+    return description;
+}
+
+/**
+ * Reference to the item a layer renders from; the item itself is described once in items
+ * Text, shape, camera and light layers have no source
+ */
+function describeSource(layer, items) {
+    var source = readSafely(function() { return layer.source; });
+    if (!source) return null;
+
+    var key = String(source.id);
+    if (!items[key]) {
+        // Claim the key first; a comp used twice further down is described only once
+        items[key] = {};
+        items[key] = source instanceof CompItem ? describeComp(source, items) : describeFootage(source);
+    }
+
+    return { id: source.id };
+}
+
+/**
+ * Describe a layer: timing, switches, parent and track matte, and every rendered property
+ * (transform, masks, effects, layer styles, text, shape contents, time remapping, ...)
+ */
+function describeLayer(layer, items) {
+    var description = {
+        index: layer.index,
+        name: layer.name,
+        matchName: layer.matchName,
+        enabled: layer.enabled,
+        solo: readSafely(function() { return layer.solo; }),
+        inPoint: layer.inPoint,
+        outPoint: layer.outPoint,
+        startTime: layer.startTime,
+        stretch: layer.stretch,
+        parent: layer.parent ? layer.parent.index : null,
+        source: describeSource(layer, items),
+        blendingMode: readSafely(function() { return Number(layer.blendingMode); }),
+        trackMatteType: readSafely(function() { return Number(layer.trackMatteType); }),
+        trackMatteLayer: readSafely(function() { return layer.trackMatteLayer ? layer.trackMatteLayer.index : null; }),
+        preserveTransparency: readSafely(function() { return layer.preserveTransparency; }),
+        adjustmentLayer: readSafely(function() { return layer.adjustmentLayer; }),
+        threeDLayer: readSafely(function() { return layer.threeDLayer; }),
+        autoOrient: readSafely(function() { return Number(layer.autoOrient); }),
+        motionBlur: readSafely(function() { return layer.motionBlur; }),
+        collapseTransformation: readSafely(function() { return layer.collapseTransformation; }),
+        quality: readSafely(function() { return Number(layer.quality); }),
+        samplingQuality: readSafely(function() { return Number(layer.samplingQuality); }),
+        frameBlendingType: readSafely(function() { return Number(layer.frameBlendingType); }),
+        timeRemapEnabled: readSafely(function() { return layer.timeRemapEnabled; }),
+        effectsActive: readSafely(function() { return layer.effectsActive; }),
+        guideLayer: readSafely(function() { return layer.guideLayer; }),
+        properties: []
+    };
+
+    for (var i = 1; i <= layer.numProperties; i++) {
+        var property = describeProperty(layer.property(i));
+        if (property) description.properties.push(property);
+    }
+
+    return description;
+}
+
+/**
+ * Describe a comp with all of its layers
+ */
+function describeComp(comp, items) {
+    var description = {
+        type: 'comp',
+        name: comp.name,
+        width: comp.width,
+        height: comp.height,
+        pixelAspect: comp.pixelAspect,
+        frameRate: comp.frameRate,
+        duration: comp.duration,
+        displayStartTime: comp.displayStartTime,
+        bgColor: describeValue(comp.bgColor),
+        shutterAngle: comp.shutterAngle,
+        shutterPhase: comp.shutterPhase,
+        motionBlurSamplesPerFrame: readSafely(function() { return comp.motionBlurSamplesPerFrame; }),
+        renderer: readSafely(function() { return comp.renderer; }),
+        frameBlending: comp.frameBlending,
+        layers: []
+    };
+
+    for (var i = 1; i <= comp.numLayers; i++) {
+        description.layers.push(describeLayer(comp.layer(i), items));
+    }
+
+    return description;
+}
+
+/**
+ * Canonical description of a precomp and everything it depends on
+ * root is the precomp; items holds every nested comp and footage item it uses, by item id,
+ * so a change anywhere down the tree changes the description
+ * The worker (and the panel, when the worker is down) hash this with SHA-256 to get the token hash,
+ * so fields always come in the same order and nothing is sampled or truncated
+ */
+function describeTree(precomp) {
+    var items = {};
+    return { root: describeComp(precomp, items), items: items };
+}
+
+/**
+ * Describe the precomp behind a layer of the active comp, for token creation
+ */
+function pulse_describeTokenLayer(layerIndex) {
+    try {
+        var comp = getActiveComp();
+        if (!comp) return result(false, null, 'No active composition');
+
+        var layer = comp.layer(layerIndex);
+        if (!layer) return result(false, null, 'Layer not found');
+        if (!isPrecompLayer(layer)) return result(false, null, 'Not a precomp layer');
+
+        var precomp = layer.source;
 
         return result(true, {
-            hash: hash,
+            description: describeTree(precomp),
             layerName: layer.name,
             precompName: precomp.name,
+            precompId: precomp.id,
             frameCount: Math.ceil(precomp.duration * precomp.frameRate),
+            // Rendered files are numbered from the comp's display start frame
+            startFrame: Math.round(precomp.displayStartTime * precomp.frameRate),
             width: precomp.width,
             height: precomp.height,
             frameRate: precomp.frameRate,
@@ -576,6 +828,22 @@ function pulse_generateTokenHash(layerIndex) {
     }
 }
 
+/**
+ * Describe a token's precomp, e.g. to register a token created while the worker was down
+ * The precomp is found by item id, and by name for tokens without one
+ */
+function pulse_describePrecomp(precompName, precompId) {
+    try {
+        var precomp = precompId ? findItemById(precompId) : null;
+        if (!(precomp instanceof CompItem)) precomp = findCompByName(precompName);
+        if (!precomp) return result(false, null, 'Precomp not found: ' + precompName);
+
+        return result(true, { description: describeTree(precomp) });
+    } catch (e) {
+        return result(false, null, e.toString());
+    }
+}
+
 /**
  * Get all tokenizable precomps with their costs
  */
@@ -634,23 +902,30 @@ function pulse_createToken() {
             return result(false, null, 'Selected layer is not a precomp');
         }
 
-        var hashResult = JSON.parse(pulse_generateTokenHash(layer.index));
-        if (!hashResult.success) {
-            return result(false, null, hashResult.error);
+        var described = JSON.parse(pulse_describeTokenLayer(layer.index));
+        if (!described.success) {
+            return result(false, null, described.error);
         }
 
         var cost = calculateLayerCost(layer, 0);
+        var project = getProjectInfo(true);
 
         return result(true, {
-            hash: hashResult.hash,
+            description: described.description,
+            projectPath: project.path,
+            projectName: project.name,
+            projectId: project.id,
+            compName: comp.name,
             layerIndex: layer.index,
             layerName: layer.name,
-            precompName: hashResult.precompName,
-            width: hashResult.width,
-            height: hashResult.height,
-            frameRate: hashResult.frameRate,
-            duration: hashResult.duration,
-            frameCount: hashResult.frameCount,
+            precompName: described.precompName,
+            precompId: described.precompId,
+            width: described.width,
+            height: described.height,
+            frameRate: described.frameRate,
+            duration: described.duration,
+            frameCount: described.frameCount,
+            startFrame: described.startFrame,
             cost: cost.score,
             costBreakdown: cost.breakdown.join(', ')
         });
@@ -661,85 +936,552 @@ function pulse_createToken() {
 }
 
 /**
- * Swap in rendered footage for a token
+ * Get a precomp's work area, used to invalidate only part of a token
  */
-function pulse_swapToken(tokenId, renderPath, frameRate) {
+function pulse_getPrecompWorkArea(precompName) {
     try {
-        var comp = getActiveComp();
-        if (!comp) return result(false, null, 'No active composition');
+        var precomp = findCompByName(precompName);
+        if (!precomp) return result(false, null, 'Precomp not found: ' + precompName);
 
-        // Find original layer
-        var originalLayer = null;
-        for (var i = 1; i <= comp.numLayers; i++) {
-            var layer = comp.layer(i);
-            if (layer.comment && layer.comment.indexOf('PULSE_TOKEN:' + tokenId) !== -1) {
-                originalLayer = layer;
-                break;
+        return result(true, {
+            startTime: precomp.workAreaStart,
+            endTime: precomp.workAreaStart + precomp.workAreaDuration,
+            frameRate: precomp.frameRate
+        });
+    } catch (e) {
+        return result(false, null, e.toString());
+    }
+}
+
+/**
+ * Create the render settings template a token's overrides need
+ * aerender has no flags for resolution, field render or motion blur, so the worker
+ * renders with settings.templateName, saved here from the base template plus the overrides
+ */
+function pulse_ensureRenderSettingsTemplate(precompName, settingsJson) {
+    var rqItem = null;
+
+    try {
+        var settings = JSON.parse(settingsJson);
+        if (!settings.templateName) return result(true, { created: false });
+
+        var precomp = findCompByName(precompName);
+        if (!precomp) return result(false, null, 'Precomp not found: ' + precompName);
+
+        rqItem = app.project.renderQueue.items.add(precomp);
+
+        // Template already saved by an earlier render
+        for (var i = 0; i < rqItem.templates.length; i++) {
+            if (rqItem.templates[i] === settings.templateName) {
+                rqItem.remove();
+                return result(true, { created: false, templateName: settings.templateName });
             }
         }
 
-        // If not found by comment, use selection
-        if (!originalLayer) {
-            var selected = comp.selectedLayers;
-            if (selected && selected.length > 0 && isPrecompLayer(selected[0])) {
-                originalLayer = selected[0];
+        try {
+            rqItem.applyTemplate(settings.renderSettingsTemplate || 'Best Settings');
+        } catch (e) {}
+
+        var overrides = {};
+        if (settings.resolution) {
+            overrides['Resolution'] = ['Full', 'Half', 'Third', 'Quarter'][settings.resolution - 1];
+        }
+        if (settings.fieldRender) {
+            overrides['Field Render'] = { off: 'Off', upper: 'Upper Field First', lower: 'Lower Field First' }[settings.fieldRender];
+        }
+        if (settings.motionBlur !== undefined) {
+            overrides['Motion Blur'] = settings.motionBlur ? 'On for Checked Layers' : 'Off for All Layers';
+        }
+
+        // setSettings needs After Effects 22 or later
+        rqItem.setSettings(overrides);
+        rqItem.saveAsTemplate(settings.templateName);
+        rqItem.remove();
+
+        return result(true, { created: true, templateName: settings.templateName });
+    } catch (e) {
+        try { if (rqItem) rqItem.remove(); } catch (err) {}
+        return result(false, null, e.toString());
+    }
+}
+
+/**
+ * Create the output module template of a format After Effects doesn't ship a template for
+ * formatJson is the format from the worker: { template, settings } with settings for OutputModule.setSettings
+ * A template that already exists is left as it is, so changes made to it in After Effects are kept
+ */
+function pulse_ensureOutputModuleTemplate(precompName, formatJson) {
+    var rqItem = null;
+
+    try {
+        var format = JSON.parse(formatJson);
+        if (!format.settings) return result(true, { created: false });
+
+        var precomp = findCompByName(precompName);
+        if (!precomp) return result(false, null, 'Precomp not found: ' + precompName);
+
+        rqItem = app.project.renderQueue.items.add(precomp);
+        var outputModule = rqItem.outputModule(1);
+
+        for (var i = 0; i < outputModule.templates.length; i++) {
+            if (outputModule.templates[i] === format.template) {
+                rqItem.remove();
+                return result(true, { created: false, templateName: format.template });
             }
         }
 
-        if (!originalLayer) {
-            return result(false, null, 'Cannot find layer to swap');
+        // setSettings needs After Effects 22 or later
+        outputModule.setSettings({ 'Format': format.settings['Format'] });
+        if (format.settings['Video Output']) {
+            // Channels or depth the format doesn't offer keep the format's defaults
+            try {
+                outputModule.setSettings({ 'Video Output': format.settings['Video Output'] });
+            } catch (e) {}
         }
+        outputModule.saveAsTemplate(format.template);
+        rqItem.remove();
 
-        // Import footage
-        var renderFile = new File(renderPath);
-        if (!renderFile.exists) {
-            return result(false, null, 'Render file not found');
+        return result(true, { created: true, templateName: format.template });
+    } catch (e) {
+        try { if (rqItem) rqItem.remove(); } catch (err) {}
+        return result(false, null, e.toString());
+    }
+}
+
+// ==================== Token Swap ====================
+// A token is swapped in wherever its precomp is used, in one of two modes:
+// - duplicate: each precomp layer stays in its comp, disabled, with its comment replaced by
+//   PULSE_TOKEN:<tokenId>#<pair>|<enabled><shy>|<original comment> so restoring can put it back as it was.
+//   Its cache layer is a duplicate of it whose source is the rendered footage, marked PULSE_CACHE:<tokenId>#<pair>.
+// - replaceSource: the precomp layer itself gets the footage as its source and is marked
+//   PULSE_SOURCE:<tokenId>|<precomp item id>|<original comment>; no layer is added.
+// Restoring gives every layer its own comment back, so once a token is restored the precomp is
+// found by the item id the token recorded.
+// Layers swapped by earlier versions have no #<pair> and nothing remembered after the token id.
+
+var SWAP_MARKER = /^PULSE_(TOKEN|CACHE|SOURCE):([^|#]+)(?:#([^|]*))?(?:\|([\s\S]*))?$/;
+var swapPairCount = 0;
+
+/**
+ * Parse the swap marker in a layer's comment: { kind, tokenId, pair, rest }, or null
+ */
+function readMarker(layer) {
+    var match = SWAP_MARKER.exec(layer.comment || '');
+    if (!match) return null;
+
+    return { kind: match[1], tokenId: match[2], pair: match[3] || '', rest: match[4] || '' };
+}
+
+/**
+ * Find a token's layers in a comp
+ * originals and caches are keyed by pair, so a precomp used twice in a comp swaps back correctly
+ */
+function findTokenLayers(comp, tokenId) {
+    var found = { originals: {}, caches: {}, replaced: [] };
+
+    for (var i = 1; i <= comp.numLayers; i++) {
+        var layer = comp.layer(i);
+        var marker = readMarker(layer);
+        if (!marker || marker.tokenId !== tokenId) continue;
+
+        if (marker.kind === 'SOURCE') {
+            found.replaced.push(layer);
+        } else if (marker.kind === 'TOKEN' && !found.originals[marker.pair]) {
+            found.originals[marker.pair] = layer;
+        } else if (marker.kind === 'CACHE' && !found.caches[marker.pair]) {
+            found.caches[marker.pair] = layer;
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Every comp in the project
+ */
+function findProjectComps() {
+    var comps = [];
+    for (var i = 1; i <= app.project.numItems; i++) {
+        if (app.project.item(i) instanceof CompItem) comps.push(app.project.item(i));
+    }
+    return comps;
+}
+
+/**
+ * Find a project item by id
+ */
+function findItemById(id) {
+    try {
+        if (app.project.itemByID) return app.project.itemByID(id);
+    } catch (e) {}
+
+    for (var i = 1; i <= app.project.numItems; i++) {
+        if (app.project.item(i).id === id) return app.project.item(i);
+    }
+    return null;
+}
+
+/**
+ * The precomp a token renders: from layers already swapped for it, else by item id, else by name
+ * Returns null rather than guess from the selection, which could swap another precomp's layers
+ */
+function findTokenPrecomp(tokenId, precompId, precompName) {
+    var comps = findProjectComps();
+
+    for (var c = 0; c < comps.length; c++) {
+        for (var i = 1; i <= comps[c].numLayers; i++) {
+            var layer = comps[c].layer(i);
+            var marker = readMarker(layer);
+            if (!marker || marker.tokenId !== tokenId) continue;
+
+            if (marker.kind === 'SOURCE') {
+                var precomp = findItemById(parseInt(marker.rest.split('|')[0], 10));
+                if (precomp instanceof CompItem) return precomp;
+            } else if (marker.kind === 'TOKEN' && isPrecompLayer(layer)) {
+                return layer.source;
+            }
         }
+    }
 
-        app.beginUndoGroup('Pulse Token Swap');
+    if (precompId) {
+        var item = findItemById(precompId);
+        if (item instanceof CompItem) return item;
+    }
+
+    if (precompName) {
+        var named = findCompByName(precompName);
+        if (named) return named;
+    }
+
+    return null;
+}
+
+/**
+ * Switches and comment a swapped-out layer had before the swap
+ * Layers marked by earlier versions only carry the token id and were enabled and visible
+ */
+function readOriginalState(layer) {
+    var rest = readMarker(layer).rest;
+    var separator = rest.indexOf('|');
+    if (separator === -1) return { enabled: true, shy: false, comment: '' };
+
+    return {
+        enabled: rest.charAt(0) === '1',
+        shy: rest.charAt(1) === '1',
+        comment: rest.substring(separator + 1)
+    };
+}
+
+/**
+ * Mark a layer as an original of a token, remembering its switches and comment
+ * Returns the pair id its cache layer is marked with
+ */
+function markOriginal(layer, tokenId) {
+    var marker = readMarker(layer);
+    if (marker && marker.kind === 'TOKEN' && marker.tokenId === tokenId) return marker.pair;
+
+    var pair = new Date().getTime().toString(36) + (++swapPairCount).toString(36);
+    layer.comment = 'PULSE_TOKEN:' + tokenId + '#' + pair + '|' +
+        (layer.enabled ? '1' : '0') + (layer.shy ? '1' : '0') + '|' + (layer.comment || '');
+    return pair;
+}
+
+/**
+ * Check if a precomp layer is the swapped-out original of a token whose cache layer is in the comp
+ */
+function isSwappedOut(comp, layer) {
+    var marker = readMarker(layer);
+    if (!marker || marker.kind !== 'TOKEN') return false;
+
+    return !!findTokenLayers(comp, marker.tokenId).caches[marker.pair];
+}
+
+/**
+ * Point a precomp layer at the rendered footage, remembering the precomp and the layer's comment
+ */
+function replaceWithCache(layer, tokenId, source) {
+    var comment = layer.comment || '';
+
+    // A layer swapped in duplicate mode before carries its own marker; keep what it remembers
+    var marker = readMarker(layer);
+    if (marker && marker.kind === 'TOKEN') {
+        var state = readOriginalState(layer);
+        layer.enabled = state.enabled;
+        layer.shy = state.shy;
+        comment = state.comment;
+    }
+
+    layer.comment = 'PULSE_SOURCE:' + tokenId + '|' + layer.source.id + '|' + comment;
+    layer.replaceSource(source, false);
+}
+
+/**
+ * Add a cache layer above a precomp layer and hide the precomp layer
+ */
+function swapWithDuplicate(comp, layer, tokenId, source) {
+    var pair = markOriginal(layer, tokenId);
+    var state = readOriginalState(layer);
+
+    // The duplicate lands right above the original, taking the same place in the stack
+    layer.enabled = state.enabled;
+    layer.shy = state.shy;
+    var cacheLayer = layer.duplicate();
+    cacheLayer.replaceSource(source, false);
+    cacheLayer.name = '[Pulse] ' + layer.name;
+    cacheLayer.comment = 'PULSE_CACHE:' + tokenId + (pair ? '#' + pair : '');
+
+    // A layer used as a legacy track matte is the one directly above the matted layer
+    try {
+        if (layer.isTrackMatte && typeof layer.setTrackMatte !== 'function') {
+            cacheLayer.moveAfter(layer);
+        }
+    } catch (e) {}
+    retargetTrackMattes(comp, layer, cacheLayer);
+
+    cacheLayer.enabled = state.enabled;
+    cacheLayer.shy = state.shy;
+
+    layer.enabled = false;
+    layer.shy = true;
+}
+
+/**
+ * Swap a token in wherever its precomp is used in a comp, or switch the footage of layers already swapped
+ * previous - collects the cache sources replaced, to delete once nothing uses them
+ * Returns the number of layers swapped
+ */
+function swapInComp(comp, tokenId, precomp, source, mode, previous) {
+    var found = findTokenLayers(comp, tokenId);
+    var count = 0;
+
+    for (var r = 0; r < found.replaced.length; r++) {
+        previous.push(found.replaced[r].source);
+        found.replaced[r].replaceSource(source, false);
+        count++;
+    }
+
+    for (var pair in found.caches) {
+        previous.push(found.caches[pair].source);
+        found.caches[pair].replaceSource(source, false);
+        count++;
+    }
+
+    // Collect first; duplicating layers renumbers them
+    var targets = [];
+    for (var i = 1; i <= comp.numLayers; i++) {
+        var layer = comp.layer(i);
+        if (isPrecompLayer(layer) && layer.source.id === precomp.id && !isSwappedOut(comp, layer)) {
+            targets.push(layer);
+        }
+    }
+
+    for (var t = 0; t < targets.length; t++) {
+        if (mode === 'replaceSource') {
+            replaceWithCache(targets[t], tokenId, source);
+        } else {
+            swapWithDuplicate(comp, targets[t], tokenId, source);
+        }
+        count++;
+    }
+
+    return count;
+}
+
+/**
+ * Give a layer swapped in replaceSource mode its precomp and comment back
+ * Returns false if the precomp was deleted
+ */
+function restoreReplaced(layer) {
+    var parts = readMarker(layer).rest.split('|');
+    var precomp = findItemById(parseInt(parts[0], 10));
+    if (!precomp || !(precomp instanceof CompItem)) return false;
+
+    layer.replaceSource(precomp, false);
+    layer.comment = parts.slice(1).join('|');
+    return true;
+}
+
+/**
+ * Restore a token's layers in a comp
+ * caches - collects the cache sources no longer shown, to delete once nothing uses them
+ * Returns { restored, failed } layer counts
+ */
+function restoreInComp(comp, tokenId, caches) {
+    var found = findTokenLayers(comp, tokenId);
+    var counts = { restored: 0, failed: 0 };
+
+    for (var r = 0; r < found.replaced.length; r++) {
+        var cache = found.replaced[r].source;
+        if (restoreReplaced(found.replaced[r])) {
+            caches.push(cache);
+            counts.restored++;
+        } else {
+            counts.failed++;
+        }
+    }
 
-        var importOptions = new ImportOptions(renderFile);
+    for (var pair in found.caches) {
+        var cacheLayer = found.caches[pair];
+        var original = found.originals[pair];
+
+        if (original) {
+            var state = readOriginalState(original);
+            original.enabled = state.enabled;
+            original.shy = state.shy;
+            original.comment = state.comment;
+            retargetTrackMattes(comp, cacheLayer, original);
+        }
+
+        caches.push(cacheLayer.source);
+        cacheLayer.remove();
+        counts.restored++;
+    }
+
+    // Earlier versions left restored layers marked; their switches are already back
+    for (var left in found.originals) {
+        if (!found.caches[left]) {
+            found.originals[left].comment = readOriginalState(found.originals[left]).comment;
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Import a token's render as footage
+ */
+function importRender(renderFile, name, frameRate) {
+    var importOptions = new ImportOptions(renderFile);
+    // Movie formats (ProRes) render a single file
+    if (!/\.(mov|mp4|mxf|avi)$/i.test(renderFile.name)) {
         importOptions.sequence = true;
         importOptions.forceAlphabetical = true;
+    }
+
+    var footage = app.project.importFile(importOptions);
+    footage.name = name;
+
+    if (frameRate) {
+        footage.mainSource.conformFrameRate = frameRate;
+    }
+
+    return footage;
+}
 
-        var footage = app.project.importFile(importOptions);
-        footage.name = 'PULSE_CACHE_' + tokenId;
+/**
+ * Source for the cache layer, matching the precomp's size so masks, effects and
+ * anchor points keep working in the same layer space
+ * A lower-resolution render is wrapped in a comp of the precomp's size that scales it up
+ */
+function createCacheSource(footage, precomp, scale) {
+    if (scale === 1) return footage;
+
+    var wrapper = app.project.items.addComp(footage.name, precomp.width, precomp.height,
+        precomp.pixelAspect, precomp.duration, precomp.frameRate);
+    var layer = wrapper.layers.add(footage);
+    layer.startTime = 0;
+    layer.transform.anchorPoint.setValue([0, 0]);
+    layer.transform.position.setValue([0, 0]);
+    layer.transform.scale.setValue([100 * scale, 100 * scale]);
+
+    return wrapper;
+}
 
-        // Set frame rate
-        if (frameRate) {
-            footage.mainSource.conformFrameRate = frameRate;
+/**
+ * Delete a cache source no layer uses anymore, with the footage inside a wrapper comp
+ */
+function removeCacheSource(item) {
+    try {
+        if (!item || item.usedIn.length > 0) return;
+
+        var footage = [];
+        if (item instanceof CompItem) {
+            for (var i = 1; i <= item.numLayers; i++) {
+                if (item.layer(i).source) footage.push(item.layer(i).source);
+            }
         }
 
-        // Add to comp
-        var cacheLayer = comp.layers.add(footage);
-        cacheLayer.name = '[Pulse] ' + originalLayer.name;
-        cacheLayer.comment = 'PULSE_CACHE:' + tokenId;
+        item.remove();
+        for (var f = 0; f < footage.length; f++) {
+            if (footage[f].usedIn.length === 0) footage[f].remove();
+        }
+    } catch (e) {}
+}
 
-        // Match original layer
-        cacheLayer.startTime = originalLayer.startTime;
-        cacheLayer.inPoint = originalLayer.inPoint;
-        cacheLayer.outPoint = originalLayer.outPoint;
+/**
+ * Point track mattes (AE 2023+ setTrackMatte) that use one layer at another
+ */
+function retargetTrackMattes(comp, from, to) {
+    if (typeof from.setTrackMatte !== 'function') return;
 
-        // Copy transform
+    for (var i = 1; i <= comp.numLayers; i++) {
+        var layer = comp.layer(i);
         try {
-            cacheLayer.transform.anchorPoint.setValue(originalLayer.transform.anchorPoint.value);
-            cacheLayer.transform.position.setValue(originalLayer.transform.position.value);
-            cacheLayer.transform.scale.setValue(originalLayer.transform.scale.value);
-            cacheLayer.transform.rotation.setValue(originalLayer.transform.rotation.value);
-            cacheLayer.transform.opacity.setValue(originalLayer.transform.opacity.value);
+            if (layer.index !== to.index && layer.trackMatteLayer && layer.trackMatteLayer.index === from.index) {
+                layer.setTrackMatte(to, layer.trackMatteType);
+            }
         } catch (e) {}
+    }
+}
 
-        // Position above original
-        cacheLayer.moveBefore(originalLayer);
+/**
+ * Swap in rendered footage for a token in every comp that uses its precomp, as one undo step
+ * In duplicate mode each cache layer is a duplicate of the precomp layer, so keyframes, parenting,
+ * blending mode, track matte, masks, effects, time remapping, 3D, stretch and motion blur all carry over;
+ * replaceSource mode swaps the source of the precomp layers themselves
+ * scale is the variant's resolution factor (2 for a half-resolution render);
+ * layers already swapped in get the new footage, whatever their mode
+ * Returns the names of the comps touched, the number of layers swapped and the precomp's item id
+ */
+function pulse_swapToken(tokenId, renderPath, frameRate, scale, mode, precompName, precompId) {
+    try {
+        scale = scale || 1;
+
+        var precomp = findTokenPrecomp(tokenId, precompId, precompName);
+        if (!precomp) {
+            return result(false, null, 'Cannot find the precomp to swap');
+        }
+
+        // Import footage
+        var renderFile = new File(renderPath);
+        if (!renderFile.exists) {
+            return result(false, null, 'Render file not found');
+        }
 
-        // Mark and hide original
-        originalLayer.comment = 'PULSE_TOKEN:' + tokenId;
-        originalLayer.enabled = false;
-        originalLayer.shy = true;
+        app.beginUndoGroup('Pulse Token Swap');
+
+        var comps = findProjectComps();
+        var source = createCacheSource(importRender(renderFile, 'PULSE_CACHE_' + tokenId, frameRate), precomp, scale);
+        var previous = [];
+        var touched = [];
+        var swapped = 0;
+
+        for (var c = 0; c < comps.length; c++) {
+            var count = swapInComp(comps[c], tokenId, precomp, source, mode, previous);
+            if (count > 0) {
+                touched.push(comps[c].name);
+                swapped += count;
+            }
+        }
+
+        for (var p = 0; p < previous.length; p++) {
+            removeCacheSource(previous[p]);
+        }
+
+        if (swapped === 0) {
+            removeCacheSource(source);
+            app.endUndoGroup();
+            return result(false, null, 'Precomp ' + precomp.name + ' is not used in any comp');
+        }
 
         app.endUndoGroup();
 
-        return result(true, { message: 'Token swapped successfully' });
+        return result(true, {
+            message: 'Token swapped in ' + swapped + ' layer(s) in ' + touched.length + ' comp(s)',
+            comps: touched,
+            layers: swapped,
+            precompId: precomp.id
+        });
 
     } catch (e) {
         try { app.endUndoGroup(); } catch (e2) {}
@@ -748,42 +1490,46 @@ function pulse_swapToken(tokenId, renderPath, frameRate) {
 }
 
 /**
- * Restore original layer from token
+ * Restore a token's precomp in every comp it is swapped in, as one undo step
+ * Originals get their switches (or, in replaceSource mode, their precomp) and their comment back;
+ * cache layers are deleted, and so is the imported footage once nothing uses it
+ * Returns the names of the comps touched and the number of layers restored
  */
 function pulse_restoreToken(tokenId) {
     try {
-        var comp = getActiveComp();
-        if (!comp) return result(false, null, 'No active composition');
-
-        var originalLayer = null;
-        var cacheLayer = null;
+        app.beginUndoGroup('Pulse Token Restore');
 
-        for (var i = 1; i <= comp.numLayers; i++) {
-            var layer = comp.layer(i);
-            if (layer.comment === 'PULSE_TOKEN:' + tokenId) {
-                originalLayer = layer;
-            } else if (layer.comment === 'PULSE_CACHE:' + tokenId) {
-                cacheLayer = layer;
+        var comps = findProjectComps();
+        var caches = [];
+        var touched = [];
+        var restored = 0;
+        var failed = 0;
+
+        for (var c = 0; c < comps.length; c++) {
+            var counts = restoreInComp(comps[c], tokenId, caches);
+            if (counts.restored > 0) {
+                touched.push(comps[c].name);
+                restored += counts.restored;
             }
+            failed += counts.failed;
         }
 
-        if (!originalLayer) {
-            return result(false, null, 'Original layer not found');
+        for (var i = 0; i < caches.length; i++) {
+            removeCacheSource(caches[i]);
         }
 
-        app.beginUndoGroup('Pulse Token Restore');
-
-        originalLayer.enabled = true;
-        originalLayer.shy = false;
+        app.endUndoGroup();
 
-        if (cacheLayer) {
-            cacheLayer.enabled = false;
-            cacheLayer.shy = true;
+        if (restored === 0) {
+            return result(false, null, failed > 0 ? 'Original precomp not found' : 'Token is not swapped in');
         }
 
-        app.endUndoGroup();
-
-        return result(true, { message: 'Token restored' });
+        return result(true, {
+            message: 'Token restored in ' + restored + ' layer(s) in ' + touched.length + ' comp(s)',
+            comps: touched,
+            layers: restored,
+            failed: failed
+        });
 
     } catch (e) {
         try { app.endUndoGroup(); } catch (e2) {}
@@ -994,6 +1740,85 @@ function pulse_getProjectPath() {
     }
 }
 
+// XMP namespace the project identity is stored under
+var PULSE_XMP_NS = 'http://ns.pulse-ae.com/pulse/1.0/';
+
+/**
+ * Read the Pulse project id from the project's XMP metadata
+ * The id survives renaming and moving the project file, so its tokens follow it
+ * create - generate and store an id if the project has none (marks the project as changed)
+ * Returns null where XMP isn't available
+ */
+function getProjectId(create) {
+    try {
+        if (!ExternalObject.AdobeXMPScript) {
+            ExternalObject.AdobeXMPScript = new ExternalObject('lib:AdobeXMPScript');
+        }
+        XMPMeta.registerNamespace(PULSE_XMP_NS, 'pulse:');
+
+        var xmp = new XMPMeta(app.project.xmpPacket);
+        var id = xmp.getProperty(PULSE_XMP_NS, 'projectId');
+        if (id) return String(id);
+        if (!create) return null;
+
+        id = 'p' + new Date().getTime().toString(16) + Math.floor(Math.random() * 0xffffffff).toString(16);
+        xmp.setProperty(PULSE_XMP_NS, 'projectId', id);
+        app.project.xmpPacket = xmp.serialize();
+        return id;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Path, name and Pulse id of the open project (path is null until it is saved)
+ */
+function getProjectInfo(create) {
+    var file = app.project.file;
+    return {
+        path: file ? file.fsName : null,
+        name: file ? decodeURI(file.name).replace(/\.aepx?$/i, '') : null,
+        id: getProjectId(create)
+    };
+}
+
+/**
+ * Identify the open project, used to scope tokens to it
+ */
+function pulse_getProjectInfo() {
+    try {
+        return result(true, getProjectInfo(false));
+    } catch (e) {
+        return result(false, null, e.toString());
+    }
+}
+
+/**
+ * Select all missing footage in the Project panel so it can be relinked or collected
+ */
+function pulse_selectMissingFootage() {
+    try {
+        var missing = [];
+
+        for (var i = 1; i <= app.project.numItems; i++) {
+            var item = app.project.item(i);
+            var isMissing = item instanceof FootageItem && item.footageMissing;
+            item.selected = isMissing;
+
+            if (isMissing) {
+                missing.push({
+                    name: item.name,
+                    path: item.file ? item.file.fsName : null
+                });
+            }
+        }
+
+        return result(true, { count: missing.length, items: missing });
+    } catch (e) {
+        return result(false, null, e.toString());
+    }
+}
+
 // ==================== Utility Functions ====================
 
 function pulse_ping() {
@@ -63,6 +63,9 @@ function getConfigPath() {
 }
 
 // ============ File Operations ============
+// Worker modules the panel loads from its js/shared folder
+const SHARED_MODULES = ['tokenStore.js', 'safeFile.js'];
+
 function copyDir(src, dest) {
     if (!fs.existsSync(src)) {
         throw new Error(`Source not found: ${src}`);
@@ -82,6 +85,19 @@ function copyDir(src, dest) {
     }
 }
 
+/**
+ * Copy the modules the panel shares with the worker from the worker next to the extension source
+ */
+function installSharedModules(sourcePath, destPath) {
+    const libDir = path.join(sourcePath, '..', 'worker', 'lib');
+    const sharedDir = path.join(destPath, 'js', 'shared');
+    ensureDir(sharedDir);
+
+    for (const name of SHARED_MODULES) {
+        fs.copyFileSync(path.join(libDir, name), path.join(sharedDir, name));
+    }
+}
+
 function removeDir(dir) {
     if (fs.existsSync(dir)) {
         fs.rmSync(dir, { recursive: true, force: true });
@@ -388,6 +404,7 @@ async function performInstall(useGitHub = true) {
     try {
         ensureDir(path.dirname(destPath));
         copyDir(sourcePath, destPath);
+        installSharedModules(sourcePath, destPath);
         ok('Extension installed');
     } catch (e) {
         fail(`Installation failed: ${e.message}`);
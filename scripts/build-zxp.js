@@ -27,6 +27,10 @@ const config = {
     extensionName: 'Pulse',
     version: '1.0.0',
     sourceDir: path.resolve(__dirname, '..', 'cep-extension'),
+    workerLibDir: path.resolve(__dirname, '..', 'worker', 'lib'),
+    // Worker modules the panel loads from its js/shared folder
+    sharedModules: ['tokenStore.js', 'safeFile.js'],
+    stageDir: path.resolve(__dirname, '..', 'dist', 'cep-extension'),
     outputDir: path.resolve(__dirname, '..', 'dist'),
     outputFile: 'Pulse-1.0.0.zxp'
 };
@@ -44,6 +48,20 @@ if (!fs.existsSync(config.outputDir)) {
     fs.mkdirSync(config.outputDir, { recursive: true });
 }
 
+// Copy the extension with the modules it shares with the worker, ready to package
+function stageExtension() {
+    fs.rmSync(config.stageDir, { recursive: true, force: true });
+    fs.cpSync(config.sourceDir, config.stageDir, { recursive: true });
+
+    const sharedDir = path.join(config.stageDir, 'js', 'shared');
+    fs.mkdirSync(sharedDir, { recursive: true });
+    for (const name of config.sharedModules) {
+        fs.copyFileSync(path.join(config.workerLibDir, name), path.join(sharedDir, name));
+    }
+
+    return config.stageDir;
+}
+
 // Find ZXPSignCmd
 function findZXPSignCmd() {
     const possiblePaths = [
@@ -169,10 +187,11 @@ function createUnsignedPackage(sourceDir, outputPath) {
 // Main
 async function main() {
     const outputPath = path.join(config.outputDir, config.outputFile);
+    const sourceDir = stageExtension();
 
     if (unsigned) {
         console.log('Creating unsigned package for development...\n');
-        createUnsignedPackage(config.sourceDir, outputPath);
+        createUnsignedPackage(sourceDir, outputPath);
         return;
     }
 
@@ -183,7 +202,7 @@ async function main() {
         console.log('https://github.com/AdobeHIDevs/ZXPSignCMD/releases\n');
         console.log('Then set ZXPSIGNCMD environment variable to the path.\n');
         console.log('Creating unsigned package instead...\n');
-        createUnsignedPackage(config.sourceDir, outputPath);
+        createUnsignedPackage(sourceDir, outputPath);
         return;
     }
 
@@ -202,15 +221,15 @@ async function main() {
     if (!fs.existsSync(certPath)) {
         if (!createSelfSignedCert(certPath, certPassword)) {
             console.log('Falling back to unsigned package...');
-            createUnsignedPackage(config.sourceDir, outputPath);
+            createUnsignedPackage(sourceDir, outputPath);
             return;
         }
     }
 
     // Package the extension
-    if (!packageZXP(zxpSignCmd, config.sourceDir, outputPath, certPath, certPassword)) {
+    if (!packageZXP(zxpSignCmd, sourceDir, outputPath, certPath, certPassword)) {
         console.log('ZXP packaging failed. Creating unsigned package...');
-        createUnsignedPackage(config.sourceDir, outputPath);
+        createUnsignedPackage(sourceDir, outputPath);
     }
 }
 
@@ -26,12 +26,16 @@ function ask(question) {
     });
 }
 
-function copyRecursive(src, dest) {
+// Worker modules the panel loads from its js/shared folder
+const SHARED_MODULES = ['tokenStore.js', 'safeFile.js'];
+
+function copyRecursive(src, dest, only) {
     if (!fs.existsSync(dest)) {
         fs.mkdirSync(dest, { recursive: true });
     }
 
-    const entries = fs.readdirSync(src, { withFileTypes: true });
+    const entries = fs.readdirSync(src, { withFileTypes: true })
+        .filter(entry => !only || only.includes(entry.name));
 
     for (const entry of entries) {
         const srcPath = path.join(src, entry.name);
@@ -133,8 +137,9 @@ async function main() {
             fs.rmSync(extensionDest, { recursive: true, force: true });
         }
 
-        // Copy files
+        // Copy files, with the modules the panel shares with the worker
         copyRecursive(cepDir, extensionDest);
+        copyRecursive(path.join(workerDir, 'lib'), path.join(extensionDest, 'js', 'shared'), SHARED_MODULES);
         console.log(`      Installed to: ${extensionDest}`);
     } catch (error) {
         console.log(`      Error: ${error.message}`);
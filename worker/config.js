@@ -13,11 +13,48 @@ const config = {
 
     // Cache settings
     cacheDir: path.join(os.homedir(), 'Pulse_Cache'),
+    // Output format of new tokens (see lib/formats.js)
     format: 'png',
 
+    // User-defined output formats, e.g. for custom output module templates:
+    // [{ name, template, extension, alpha, bitDepth, sequence }]
+    customFormats: [],
+
+    // Store identical frames once, hard linking them into every render that uses them
+    dedupeFrames: true,
+
+    // Disk usage policy of the renders folder (0 disables a limit)
+    // Renders that aren't swapped in are evicted least recently used first
+    cache: {
+        maxSizeGB: 0,
+        maxAgeDays: 0,
+        evictIntervalMinutes: 15
+    },
+
     // Render settings
     concurrency: 1,
 
+    // Split a token into up to `concurrency` frame chunks rendered in parallel,
+    // each at least this many frames long (0 disables chunking)
+    chunkMinFrames: 60,
+
+    // Resume interrupted renders from the last frame on disk instead of starting over
+    resumeRenders: true,
+
+    // Let higher-priority jobs cancel and requeue lower-priority active renders
+    preempt: true,
+
+    // Retry policy for failed renders
+    // Delay before attempt n+1 is min(maxDelayMs, baseDelayMs * factor^(n-1))
+    retry: {
+        maxAttempts: 3,
+        baseDelayMs: 10000,
+        factor: 2,
+        maxDelayMs: 5 * 60 * 1000,
+        // Failure categories worth retrying (see lib/renderErrors.js)
+        retryable: ['license', 'memory', 'project-locked', 'timeout', 'spawn', 'incomplete', 'unknown']
+    },
+
     // aerender path (auto-detected if not set)
     aerenderPath: null,
 
@@ -88,9 +125,16 @@ const config = {
     // Update configuration
     update: function(newConfig) {
         if (newConfig.cacheDir) this.cacheDir = newConfig.cacheDir;
-        if (newConfig.format) this.format = newConfig.format;
+        if (newConfig.format) this.format = String(newConfig.format).toLowerCase();
+        if (Array.isArray(newConfig.customFormats)) this.customFormats = newConfig.customFormats;
         if (newConfig.concurrency) this.concurrency = parseInt(newConfig.concurrency) || 1;
         if (newConfig.aerenderPath) this.aerenderPath = newConfig.aerenderPath;
+        if (typeof newConfig.resumeRenders === 'boolean') this.resumeRenders = newConfig.resumeRenders;
+        if (typeof newConfig.preempt === 'boolean') this.preempt = newConfig.preempt;
+        if (newConfig.chunkMinFrames !== undefined) this.chunkMinFrames = parseInt(newConfig.chunkMinFrames) || 0;
+        if (newConfig.retry) Object.assign(this.retry, newConfig.retry);
+        if (newConfig.cache) Object.assign(this.cache, newConfig.cache);
+        if (typeof newConfig.dedupeFrames === 'boolean') this.dedupeFrames = newConfig.dedupeFrames;
     }
 };
 
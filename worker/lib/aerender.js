@@ -7,6 +7,13 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const logger = require('./logger');
+const renderErrors = require('./renderErrors');
+const formats = require('./formats');
+const renderSettings = require('./renderSettings');
+const tokenManager = require('./tokenManager');
+const blobStore = require('./blobStore');
+const integrity = require('./integrity');
+const tokenStore = require('./tokenStore');
 const config = require('../config');
 
 class Aerender {
@@ -41,31 +48,21 @@ class Aerender {
 
     /**
      * Get the format-specific output module settings
-     * Uses built-in output modules that exist in all AE installations
+     * Templates come from the format registry; unknown formats fall back to PNG
      */
     getOutputModuleArgs(format) {
-        // These are built-in output modules available in all AE versions
-        switch (format.toLowerCase()) {
-            case 'png':
-                // Use Lossless with Alpha - universally available
-                return ['-OMtemplate', 'Lossless with Alpha'];
-            case 'exr':
-                // OpenEXR is available if the plugin is installed
-                return ['-OMtemplate', 'OpenEXR'];
-            case 'tiff':
-                return ['-OMtemplate', 'TIFF Sequence with Alpha'];
-            default:
-                // Fallback to lossless
-                return ['-OMtemplate', 'Lossless with Alpha'];
-        }
+        const entry = formats.get(format) || formats.get('png');
+        return ['-OMtemplate', entry.template];
     }
 
     /**
      * Build aerender arguments for rendering a composition
      * Uses direct command-line args to avoid template dependency issues
+     * options.settings holds the token's render settings overrides
      */
     buildArgs(options) {
         const args = [];
+        const settings = renderSettings.resolve(options.settings);
 
         // Project file (required)
         args.push('-project', options.projectPath);
@@ -76,21 +73,31 @@ class Aerender {
         // Output path - aerender uses [#####] for frame padding
         args.push('-output', options.outputPath);
 
-        // Render settings - use "Best Settings" which is a default template
+        // Frame range - used for chunked renders and to resume an interrupted render
+        if (options.startFrame !== undefined && options.startFrame !== null) {
+            args.push('-s', String(options.startFrame));
+        }
+        if (options.endFrame !== undefined && options.endFrame !== null) {
+            args.push('-e', String(options.endFrame));
+        }
+
+        // Render settings - "Best Settings" is a default template
+        // Resolution, field and motion blur overrides use the template the panel derived from it
         // If it doesn't exist, AE will use current render settings
-        args.push('-RStemplate', 'Best Settings');
+        args.push('-RStemplate', settings.templateName || settings.renderSettingsTemplate);
 
-        // Output module - try to use a reliable default
-        // "Lossless with Alpha" exists in all AE versions
-        const omArgs = this.getOutputModuleArgs(options.format || 'png');
+        // Output module of the token's format, unless the token names its own template
+        const omArgs = settings.outputModuleTemplate
+            ? ['-OMtemplate', settings.outputModuleTemplate]
+            : this.getOutputModuleArgs(options.format || 'png');
         args.push(...omArgs);
 
-        // Sound off - we don't need audio for cached precomps
-        args.push('-sound', 'OFF');
+        // Sound off unless requested - cached precomps rarely need audio
+        args.push('-sound', settings.audio ? 'ON' : 'OFF');
 
         // Memory usage - be conservative to avoid crashes
         // First number: image cache %, Second number: max memory %
-        args.push('-mem_usage', '50', '70');
+        args.push('-mem_usage', String(settings.memory.imageCache), String(settings.memory.maxMemory));
 
         // Don't render at lower than full resolution
         args.push('-reuse');
@@ -104,31 +111,67 @@ class Aerender {
         return args;
     }
 
+    /**
+     * Create a render error for failures that happen outside aerender's output
+     * Categories: config, spawn, missing-output, timeout (aerender failures are
+     * classified by renderErrors.classify)
+     */
+    createError(message, category) {
+        return new renderErrors.RenderError(message, { code: category.toUpperCase().replace(/-/g, '_'), category });
+    }
+
+    /**
+     * Parse an aerender PROGRESS line into a frame position
+     * aerender reports rendered frames as "PROGRESS:  0:00:00:05 (6): 0 Seconds"
+     */
+    parseProgress(line, totalFrames) {
+        const match = line.match(/PROGRESS:\s+[\d:;]+\s+\((\d+)\)/);
+        if (!match) return null;
+
+        const frame = parseInt(match[1], 10);
+        const percent = totalFrames > 0
+            ? Math.min(100, Math.round((frame / totalFrames) * 1000) / 10)
+            : null;
+
+        return { frame, totalFrames: totalFrames || null, percent };
+    }
+
     /**
      * Render a token
      * Returns a promise that resolves when render completes
+     * options.startFrame / options.endFrame limit the render to a frame range
+     * options.chunk names the range so several processes can render one token
+     * options.onProgress is called with { frame, totalFrames, percent, eta } for each rendered frame
      */
-    render(token, projectPath) {
+    render(token, projectPath, options = {}) {
         return new Promise((resolve, reject) => {
+            const processKey = options.chunk !== undefined ? `${token.tokenId}#${options.chunk}` : token.tokenId;
+
             const aerenderPath = this.getPath();
 
             if (!aerenderPath) {
-                reject(new Error('aerender path not configured. Go to Settings and set the aerender path.'));
+                reject(this.createError('aerender path not configured. Go to Settings and set the aerender path.', 'config'));
                 return;
             }
 
             if (!fs.existsSync(aerenderPath)) {
-                reject(new Error(`aerender not found at: ${aerenderPath}`));
+                reject(this.createError(`aerender not found at: ${aerenderPath}`, 'config'));
                 return;
             }
 
             if (!projectPath) {
-                reject(new Error('Project path is required'));
+                reject(this.createError('Project path is required', 'config'));
                 return;
             }
 
             if (!fs.existsSync(projectPath)) {
-                reject(new Error(`Project file not found: ${projectPath}`));
+                reject(this.createError(`Project file not found: ${projectPath}`, 'config'));
+                return;
+            }
+
+            const format = tokenManager.getFormat(token);
+            if (!format) {
+                reject(this.createError(`Unknown output format: ${token.format || config.format}`, 'config'));
                 return;
             }
 
@@ -137,21 +180,28 @@ class Aerender {
                 fs.mkdirSync(token.renderDir, { recursive: true });
             }
 
+            // Frames about to be rendered may be hard links into the blob store
+            blobStore.detach(token.renderDir, formats.getFramePattern(), options.startFrame, options.endFrame,
+                integrity.getStartFrame(token));
+
             // Build output path with frame padding
             // AE uses [#####] format for 5-digit padding
-            const outputPath = path.join(token.renderDir, 'frame_[#####].png');
+            const outputPath = tokenManager.getOutputPath(token);
 
             const args = this.buildArgs({
                 projectPath: projectPath,
                 precompName: token.precompName,
                 outputPath: outputPath,
-                format: config.format || 'png'
+                format: format.name,
+                settings: token.renderSettings,
+                startFrame: options.startFrame,
+                endFrame: options.endFrame
             });
 
-            logger.info(`Starting aerender for ${token.tokenId}`);
+            logger.info(`Starting aerender for ${processKey}`);
             logger.info(`  Project: ${projectPath}`);
             logger.info(`  Comp: ${token.precompName}`);
-            logger.info(`  Output: ${token.renderDir}`);
+            logger.info(`  Output: ${outputPath} (${format.label})`);
             logger.debug('aerender command:', `"${aerenderPath}" ${args.join(' ')}`);
 
             const startTime = Date.now();
@@ -164,12 +214,24 @@ class Aerender {
                 cwd: path.dirname(projectPath)
             });
 
-            this.activeProcesses.set(token.tokenId, process);
+            process.tokenId = token.tokenId;
+            this.activeProcesses.set(processKey, process);
 
             let stdout = '';
             let stderr = '';
             let lastProgressLog = 0;
 
+            // aerender only reports the frames in the requested range
+            const tokenFrames = token.duration && token.frameRate
+                ? Math.ceil(token.duration * token.frameRate)
+                : 0;
+            const lastFrame = options.endFrame !== undefined && options.endFrame !== null
+                ? options.endFrame
+                : tokenFrames - 1;
+            const totalFrames = tokenFrames > 0
+                ? Math.max(0, lastFrame - (options.startFrame || 0) + 1)
+                : 0;
+
             process.stdout.on('data', (data) => {
                 stdout += data.toString();
 
@@ -179,15 +241,24 @@ class Aerender {
                     const trimmed = line.trim();
                     if (!trimmed) continue;
 
+                    const progress = this.parseProgress(trimmed, totalFrames);
+                    if (progress && options.onProgress) {
+                        const elapsed = (Date.now() - startTime) / 1000;
+                        progress.eta = progress.percent
+                            ? Math.round(elapsed * (100 - progress.percent) / progress.percent)
+                            : null;
+                        options.onProgress(progress);
+                    }
+
                     // Log progress every 5 seconds max to avoid spam
                     const now = Date.now();
                     if (trimmed.includes('PROGRESS:') || trimmed.includes('Finished Comp')) {
                         if (now - lastProgressLog > 5000) {
-                            logger.info(`[${token.tokenId}] ${trimmed}`);
+                            logger.info(`[${processKey}] ${trimmed}`);
                             lastProgressLog = now;
                         }
                     } else if (trimmed.includes('ERROR') || trimmed.includes('Error')) {
-                        logger.error(`[${token.tokenId}] ${trimmed}`);
+                        logger.error(`[${processKey}] ${trimmed}`);
                     }
                 }
             });
@@ -198,24 +269,34 @@ class Aerender {
                 const lines = data.toString().split('\n');
                 for (const line of lines) {
                     if (line.trim()) {
-                        logger.warn(`[${token.tokenId}] stderr: ${line.trim()}`);
+                        logger.warn(`[${processKey}] stderr: ${line.trim()}`);
                     }
                 }
             });
 
             process.on('error', (err) => {
-                this.activeProcesses.delete(token.tokenId);
-                logger.error(`aerender process error for ${token.tokenId}:`, err.message);
-                reject(new Error(`Failed to start aerender: ${err.message}`));
+                this.activeProcesses.delete(processKey);
+                logger.error(`aerender process error for ${processKey}:`, err.message);
+                reject(this.createError(`Failed to start aerender: ${err.message}`, 'spawn'));
             });
 
             process.on('close', (code) => {
-                this.activeProcesses.delete(token.tokenId);
+                this.activeProcesses.delete(processKey);
+
+                if (process.cancelled) {
+                    logger.info(`aerender cancelled for ${processKey}`);
+                    const err = new Error('Render cancelled');
+                    err.cancelled = true;
+                    reject(err);
+                    return;
+                }
+
                 const duration = ((Date.now() - startTime) / 1000).toFixed(1);
 
                 // Save full output log
                 try {
-                    const logPath = path.join(token.renderDir, 'render.log');
+                    const logName = options.chunk !== undefined ? `render_chunk${options.chunk}.log` : 'render.log';
+                    const logPath = path.join(token.renderDir, logName);
                     fs.writeFileSync(logPath, `Exit code: ${code}\n\n=== STDOUT ===\n${stdout}\n\n=== STDERR ===\n${stderr}`);
                 } catch (e) {
                     logger.warn('Could not save render log:', e.message);
@@ -223,46 +304,49 @@ class Aerender {
 
                 if (code === 0) {
                     // Verify output exists - look for first frame
-                    const firstFramePath = this.findFirstFrame(token.renderDir);
+                    const firstFramePath = this.findFirstFrame(token.renderDir, format.name);
 
                     if (firstFramePath) {
-                        logger.info(`Render complete for ${token.tokenId} in ${duration}s`);
+                        logger.info(`Render complete for ${processKey} in ${duration}s`);
                         logger.info(`  First frame: ${firstFramePath}`);
+
+                        // Missing footage, fonts or plug-ins don't stop aerender
+                        const warnings = renderErrors.parseOutput(stdout, stderr).details
+                            .filter(detail => detail.type !== 'error');
+                        for (const warning of warnings) {
+                            logger.warn(`[${processKey}] ${warning.type}: ${warning.path || warning.name || warning.message}`);
+                        }
+
                         resolve({
                             success: true,
                             renderPath: firstFramePath,
-                            duration: parseFloat(duration)
+                            duration: parseFloat(duration),
+                            warnings: warnings
                         });
                     } else {
                         logger.error(`Render completed but no output found for ${token.tokenId}`);
                         logger.error('Check render.log in:', token.renderDir);
-                        reject(new Error('Render completed but no output frames found. Check if the composition name is correct.'));
+                        reject(this.createError('Render completed but no output frames found. Check if the composition name is correct.', 'missing-output'));
                     }
                 } else {
-                    logger.error(`aerender failed for ${token.tokenId} with code ${code}`);
-
-                    // Try to extract useful error message
-                    let errorMsg = `aerender exited with code ${code}`;
-                    if (stderr.includes('doesn\'t exist')) {
-                        errorMsg = 'Composition not found in project. Make sure the project is saved.';
-                    } else if (stderr.includes('license')) {
-                        errorMsg = 'After Effects license issue. Make sure AE is properly licensed.';
-                    } else if (stderr.includes('memory')) {
-                        errorMsg = 'Out of memory. Try reducing composition complexity.';
-                    } else if (stdout.includes('Output Module')) {
-                        errorMsg = 'Output module error. The default output settings may not be compatible.';
+                    const err = renderErrors.classify(code, stdout, stderr);
+                    if (err.frame !== null) {
+                        err.frame += options.startFrame || 0;
                     }
-
-                    reject(new Error(errorMsg));
+                    logger.error(`aerender failed for ${processKey} with code ${code} (${err.category}, ${err.code})`);
+                    if (err.frame !== null) {
+                        logger.error(`  Failed at frame ${err.frame}`);
+                    }
+                    reject(err);
                 }
             });
 
             // Set a timeout for very long renders (30 minutes)
             const timeout = setTimeout(() => {
-                if (this.activeProcesses.has(token.tokenId)) {
-                    logger.warn(`Render timeout for ${token.tokenId} after 30 minutes`);
-                    this.cancel(token.tokenId);
-                    reject(new Error('Render timed out after 30 minutes'));
+                if (this.activeProcesses.has(processKey)) {
+                    logger.warn(`Render timeout for ${processKey} after 30 minutes`);
+                    this.cancelProcess(processKey);
+                    reject(this.createError('Render timed out after 30 minutes', 'timeout'));
                 }
             }, 30 * 60 * 1000);
 
@@ -273,17 +357,27 @@ class Aerender {
 
     /**
      * Find the first rendered frame in a directory
+     * With a format, only that format's output counts (the movie file for movie formats)
      */
-    findFirstFrame(renderDir) {
+    findFirstFrame(renderDir, formatName) {
         try {
             const files = fs.readdirSync(renderDir);
+            const format = formats.get(formatName);
+
+            if (format && !format.sequence) {
+                const movie = formats.getOutputName(format.name);
+                return files.includes(movie) ? path.join(renderDir, movie) : null;
+            }
+
+            const extensions = format ? [format.extension] : formats.getSequenceExtensions();
+            const ext = `(${extensions.join('|')})`;
 
             // Look for common frame naming patterns
             const framePatterns = [
-                /^frame_\d+\.(png|exr|tif|tiff)$/i,
-                /^frames_\d+\.(png|exr|tif|tiff)$/i,
-                /^\d+\.(png|exr|tif|tiff)$/i,
-                /^.*_\d+\.(png|exr|tif|tiff)$/i
+                new RegExp(`^${tokenStore.FRAME_PREFIX}\\d+\\.${ext}$`, 'i'),
+                new RegExp(`^frames_\\d+\\.${ext}$`, 'i'),
+                new RegExp(`^\\d+\\.${ext}$`, 'i'),
+                new RegExp(`^.*_\\d+\\.${ext}$`, 'i')
             ];
 
             const frameFiles = files.filter(f => {
@@ -296,7 +390,7 @@ class Aerender {
 
             // Fallback: just return first image file
             const imageFiles = files.filter(f =>
-                /\.(png|exr|tif|tiff|jpg|jpeg)$/i.test(f)
+                new RegExp(`\\.${ext}$`, 'i').test(f)
             ).sort();
 
             if (imageFiles.length > 0) {
@@ -311,21 +405,97 @@ class Aerender {
     }
 
     /**
-     * Cancel a running render
+     * Get the highest frame number rendered into a directory
+     * Returns null if no frames exist
+     * firstFrame - number of the file of frame 0, see integrity.getStartFrame
+     */
+    getLastFrameNumber(renderDir, startFrame = 0, endFrame = Infinity, firstFrame = 0) {
+        let last = null;
+
+        for (const frame of this.listFrameNumbers(renderDir, firstFrame)) {
+            if (frame >= startFrame && frame <= endFrame && (last === null || frame > last)) {
+                last = frame;
+            }
+        }
+
+        return last;
+    }
+
+    /**
+     * Delete rendered frames in a frame range so they are regenerated
+     */
+    deleteFrames(renderDir, startFrame, endFrame, firstFrame = 0) {
+        const framePattern = formats.getFramePattern();
+        let deleted = 0;
+
+        try {
+            for (const file of fs.readdirSync(renderDir)) {
+                const match = file.match(framePattern);
+                if (!match) continue;
+
+                const frame = parseInt(match[1], 10) - firstFrame;
+                if (frame >= startFrame && frame <= endFrame) {
+                    fs.unlinkSync(path.join(renderDir, file));
+                    deleted++;
+                }
+            }
+        } catch (err) {
+            logger.warn('Could not delete frames:', err.message);
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Get the set of frame numbers rendered into a directory, counted from the file numbered firstFrame
+     */
+    listFrameNumbers(renderDir, firstFrame = 0) {
+        const frames = new Set();
+        const framePattern = formats.getFramePattern();
+
+        try {
+            for (const file of fs.readdirSync(renderDir)) {
+                const match = file.match(framePattern);
+                if (match) frames.add(parseInt(match[1], 10) - firstFrame);
+            }
+        } catch (err) {
+            // Missing directory - no frames
+        }
+
+        return frames;
+    }
+
+    /**
+     * Cancel all running renders (every chunk) of a token
      */
     cancel(tokenId) {
-        const process = this.activeProcesses.get(tokenId);
+        const keys = Array.from(this.activeProcesses.keys())
+            .filter(key => this.activeProcesses.get(key).tokenId === tokenId);
+
+        for (const key of keys) {
+            this.cancelProcess(key);
+        }
+
+        return keys.length > 0;
+    }
+
+    /**
+     * Cancel a single aerender process
+     */
+    cancelProcess(processKey) {
+        const process = this.activeProcesses.get(processKey);
         if (process) {
-            logger.info(`Cancelling render for ${tokenId}`);
+            logger.info(`Cancelling render for ${processKey}`);
+            process.cancelled = true;
 
             // Try graceful termination first
             process.kill('SIGTERM');
 
             // Force kill after 5 seconds if still running
             setTimeout(() => {
-                if (this.activeProcesses.has(tokenId)) {
+                if (this.activeProcesses.get(processKey) === process) {
                     process.kill('SIGKILL');
-                    this.activeProcesses.delete(tokenId);
+                    this.activeProcesses.delete(processKey);
                 }
             }, 5000);
 
@@ -335,10 +505,13 @@ class Aerender {
     }
 
     /**
-     * Check if a render is active
+     * Check if a render (or any chunk of it) is active
      */
     isRendering(tokenId) {
-        return this.activeProcesses.has(tokenId);
+        for (const process of this.activeProcesses.values()) {
+            if (process.tokenId === tokenId) return true;
+        }
+        return false;
     }
 
     /**
@@ -352,7 +525,7 @@ class Aerender {
      * Get list of active render token IDs
      */
     getActiveRenders() {
-        return Array.from(this.activeProcesses.keys());
+        return Array.from(new Set(Array.from(this.activeProcesses.values()).map(process => process.tokenId)));
     }
 }
 
@@ -0,0 +1,167 @@
+/**
+ * Pulse Blob Store
+ * Content-addressed frame storage shared by every token's render
+ *
+ * A finished render's frames are stored once per SHA-256 under Pulse_Blobs/ and
+ * hard linked back into the token's render folder, so identical frames of
+ * different tokens (holds, empty frames, loops, unchanged frames of a re-render)
+ * share one file on disk. Render folders keep looking like plain image
+ * sequences to After Effects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('../config');
+
+const BLOBS_DIR = 'Pulse_Blobs';
+
+class BlobStore {
+    constructor() {
+        this.blobsDir = null;
+        this.supported = true;
+    }
+
+    /**
+     * Initialize with cache directory
+     */
+    init(cacheDir) {
+        this.blobsDir = path.join(cacheDir, BLOBS_DIR);
+        this.supported = true;
+
+        if (!fs.existsSync(this.blobsDir)) {
+            fs.mkdirSync(this.blobsDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Path of the blob holding content with the given hash
+     */
+    getBlobPath(sha256, extension) {
+        return path.join(this.blobsDir, sha256.substring(0, 2), `${sha256}${extension}`);
+    }
+
+    /**
+     * Move a render's files into the store, linking duplicates to the existing blob
+     * manifest - the render's checksum manifest (see lib/integrity.js), updated in place
+     * Returns { linked, savedBytes }
+     */
+    store(renderDir, manifest) {
+        const result = { linked: 0, savedBytes: 0 };
+        if (!config.dedupeFrames || !this.supported || !this.blobsDir) return result;
+
+        for (const [file, entry] of Object.entries(manifest.files)) {
+            const filePath = path.join(renderDir, file);
+            const blobPath = this.getBlobPath(entry.sha256, path.extname(file).toLowerCase());
+
+            try {
+                if (!fs.existsSync(blobPath)) {
+                    fs.mkdirSync(path.dirname(blobPath), { recursive: true });
+                    fs.linkSync(filePath, blobPath);
+                    continue;
+                }
+
+                const blob = fs.statSync(blobPath);
+                const stat = fs.statSync(filePath);
+                if (blob.ino === stat.ino && blob.dev === stat.dev) continue;
+
+                // Link under a temporary name first so the frame is never missing
+                const tempPath = `${filePath}.link`;
+                fs.linkSync(blobPath, tempPath);
+                fs.renameSync(tempPath, filePath);
+                // The link carries the blob's timestamp; keep the manifest in step so the checksum is reused
+                entry.mtimeMs = blob.mtimeMs;
+
+                result.linked++;
+                result.savedBytes += stat.size;
+            } catch (err) {
+                // e.g. a file system without hard links; keep the render as plain files
+                this.supported = false;
+                logger.warn('Frame deduplication disabled, hard links failed:', err.message);
+                break;
+            }
+        }
+
+        if (result.linked > 0) {
+            logger.info(`Deduplicated ${result.linked} frames of ${path.basename(renderDir)} (${result.savedBytes} bytes saved)`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Remove the files aerender is about to write from a render folder
+     * aerender overwrites existing files in place, which would change a blob
+     * and every render linked to it
+     * startFrame/endFrame - frames that will be rendered (all files when omitted)
+     * firstFrame - number of the file of frame 0
+     */
+    detach(renderDir, framePattern, startFrame, endFrame, firstFrame = 0) {
+        let removed = 0;
+
+        try {
+            for (const file of fs.readdirSync(renderDir)) {
+                const filePath = path.join(renderDir, file);
+                if (fs.statSync(filePath).nlink < 2) continue;
+
+                const match = file.match(framePattern);
+                const frame = match ? parseInt(match[1], 10) - firstFrame : null;
+                if (frame !== null && (frame < (startFrame || 0) || frame > (endFrame === undefined ? Infinity : endFrame))) {
+                    continue;
+                }
+
+                fs.unlinkSync(filePath);
+                removed++;
+            }
+        } catch (err) {
+            // Missing directory - nothing to detach
+        }
+
+        return removed;
+    }
+
+    /**
+     * Walk every blob
+     */
+    listBlobs() {
+        const blobs = [];
+        if (!this.blobsDir || !fs.existsSync(this.blobsDir)) return blobs;
+
+        for (const prefix of fs.readdirSync(this.blobsDir)) {
+            const dir = path.join(this.blobsDir, prefix);
+            if (!fs.statSync(dir).isDirectory()) continue;
+
+            for (const file of fs.readdirSync(dir)) {
+                const blobPath = path.join(dir, file);
+                blobs.push({ path: blobPath, stat: fs.statSync(blobPath) });
+            }
+        }
+
+        return blobs;
+    }
+
+    /**
+     * Delete blobs no render links to anymore
+     * dryRun - only count them
+     * Returns { removed, freedBytes }
+     */
+    collectGarbage(dryRun = false) {
+        const result = { removed: 0, freedBytes: 0 };
+
+        for (const blob of this.listBlobs()) {
+            if (blob.stat.nlink > 1) continue;
+
+            if (!dryRun) fs.unlinkSync(blob.path);
+            result.removed++;
+            result.freedBytes += blob.stat.size;
+        }
+
+        if (result.removed > 0 && !dryRun) {
+            logger.info(`Removed ${result.removed} unused blobs (${result.freedBytes} bytes)`);
+        }
+
+        return result;
+    }
+}
+
+module.exports = new BlobStore();
@@ -0,0 +1,564 @@
+/**
+ * Pulse Cache Archive
+ * Exports tokens with their frames to a single .tar.gz and imports them into another cache
+ *
+ * Archive layout:
+ *   pulse-export.json        - { version, exportedAt, tokens: { <tokenId>: token } }
+ *   renders/<id>/<file>      - render folder of every token and variant ("<tokenId>@half")
+ * Frames shared by several renders (see lib/blobStore.js) are stored once as tar hard links.
+ * Paths and link targets too long for a ustar header go in a pax extended header before the entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const logger = require('./logger');
+const tokenManager = require('./tokenManager');
+const cacheManager = require('./cacheManager');
+const integrity = require('./integrity');
+const tokenStore = require('./tokenStore');
+
+const ARCHIVE_VERSION = 1;
+const METADATA_FILE = 'pulse-export.json';
+const RENDERS_PREFIX = 'renders';
+const EXPORTS_DIR = 'Pulse_Exports';
+const IMPORTS_DIR = 'Pulse_Imports';
+
+const BLOCK_SIZE = 512;
+const NAME_LENGTH = 100;
+
+// Token ids, variant ids and project folders become folder names under Pulse_Renders
+const SAFE_NAME = /^[A-Za-z0-9_@-]+$/;
+
+// Render state that only means something on the machine that exported it
+const STATUS_ON_IMPORT = {
+    ready: 'ready',
+    swapped: 'ready',
+    rendering: 'pending'
+};
+
+/**
+ * Split a path between the ustar name and prefix fields
+ * Returns null if it doesn't fit
+ */
+function splitName(name) {
+    if (Buffer.byteLength(name) <= NAME_LENGTH) return { name, prefix: '' };
+
+    const split = name.lastIndexOf('/', name.length - 1);
+    if (split === -1) return null;
+
+    const prefix = name.substring(0, split);
+    const base = name.substring(split + 1);
+    if (Buffer.byteLength(base) > NAME_LENGTH || Buffer.byteLength(prefix) > 155) return null;
+
+    return { name: base, prefix };
+}
+
+/**
+ * Write a ustar header block
+ * A path or link target that doesn't fit is cut short; the pax header before the entry holds it whole
+ */
+function createHeader(name, options) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    const split = splitName(name) || { name: name, prefix: '' };
+
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+    header.write(split.name, 0, NAME_LENGTH);
+    header.write(octal(0o644, 8), 100);
+    header.write(octal(0, 8), 108);
+    header.write(octal(0, 8), 116);
+    header.write(octal(options.size || 0, 12), 124);
+    header.write(octal(Math.floor((options.mtime || Date.now()) / 1000), 12), 136);
+    header.write('        ', 148);
+    header.write(options.type || '0', 156);
+    header.write(options.linkName || '', 157, NAME_LENGTH);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    header.write(split.prefix, 345, 155);
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(octal(checksum, 7) + ' ', 148);
+
+    return header;
+}
+
+/**
+ * pax extended header records for the fields of an entry that don't fit its ustar header
+ * Returns null if everything fits
+ */
+function createPaxRecords(name, linkName) {
+    const fields = {};
+    if (!splitName(name)) fields.path = name;
+    if (linkName && Buffer.byteLength(linkName) > NAME_LENGTH) fields.linkpath = linkName;
+    if (Object.keys(fields).length === 0) return null;
+
+    // Each record is "<length> <key>=<value>\n", its length counting the digits of the length itself
+    const records = Object.entries(fields).map(([key, value]) => {
+        const body = ` ${key}=${value}\n`;
+        let length = Buffer.byteLength(body);
+        while (String(length).length + Buffer.byteLength(body) !== length) {
+            length = String(length).length + Buffer.byteLength(body);
+        }
+        return `${length}${body}`;
+    });
+
+    return Buffer.from(records.join(''));
+}
+
+/**
+ * Read the records of a pax extended header into { <key>: value }
+ */
+function parsePaxRecords(data) {
+    const fields = {};
+    let offset = 0;
+
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        const length = parseInt(data.toString('utf8', offset, space), 10);
+        if (space === -1 || !(length > 0)) break;
+
+        const record = data.toString('utf8', space + 1, offset + length - 1);
+        const equals = record.indexOf('=');
+        if (equals !== -1) fields[record.substring(0, equals)] = record.substring(equals + 1);
+        offset += length;
+    }
+
+    return fields;
+}
+
+/**
+ * Read the fields of a ustar header block
+ */
+function parseHeader(block) {
+    const text = (start, length) => block.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+    const name = text(0, 100);
+    const prefix = text(345, 155);
+
+    return {
+        name: prefix ? `${prefix}/${name}` : name,
+        size: parseInt(text(124, 12).trim(), 8) || 0,
+        type: text(156, 1) || '0',
+        linkName: text(157, 100)
+    };
+}
+
+/**
+ * Streams a gzipped tar archive to disk
+ */
+class ArchiveWriter {
+    constructor(archivePath) {
+        this.gzip = zlib.createGzip();
+        this.output = fs.createWriteStream(archivePath);
+        this.gzip.pipe(this.output);
+        this.bytes = 0;
+    }
+
+    async write(buffer) {
+        this.bytes += buffer.length;
+        if (!this.gzip.write(buffer)) {
+            await new Promise(resolve => this.gzip.once('drain', resolve));
+        }
+    }
+
+    async writeHeader(name, options) {
+        const records = createPaxRecords(name, options.linkName);
+        if (records) {
+            await this.write(createHeader(`PaxHeaders/${path.posix.basename(name)}`, { type: 'x', size: records.length }));
+            await this.write(records);
+            await this.pad(records.length);
+        }
+        await this.write(createHeader(name, options));
+    }
+
+    async addBuffer(name, buffer) {
+        await this.writeHeader(name, { size: buffer.length });
+        await this.write(buffer);
+        await this.pad(buffer.length);
+    }
+
+    async addFile(name, filePath, stat) {
+        await this.writeHeader(name, { size: stat.size, mtime: stat.mtimeMs });
+        for await (const chunk of fs.createReadStream(filePath)) {
+            await this.write(chunk);
+        }
+        await this.pad(stat.size);
+    }
+
+    async addLink(name, target) {
+        await this.writeHeader(name, { type: '1', linkName: target });
+    }
+
+    async pad(size) {
+        const remainder = size % BLOCK_SIZE;
+        if (remainder) await this.write(Buffer.alloc(BLOCK_SIZE - remainder));
+    }
+
+    async close() {
+        await this.write(Buffer.alloc(BLOCK_SIZE * 2));
+        await new Promise((resolve, reject) => {
+            this.output.once('finish', resolve);
+            this.output.once('error', reject);
+            this.gzip.end();
+        });
+    }
+}
+
+/**
+ * Unpack a gzipped tar archive into a directory
+ * Entries that would land outside the directory are rejected
+ */
+function extract(archivePath, targetDir) {
+    return new Promise((resolve, reject) => {
+        const input = fs.createReadStream(archivePath);
+        const gunzip = zlib.createGunzip();
+        let buffer = Buffer.alloc(0);
+        let entry = null;
+        let skip = 0;
+        let done = false;
+        // Fields of the pax extended header that applies to the next entry
+        let pax = {};
+
+        const resolvePath = (name) => {
+            const resolved = path.resolve(targetDir, name);
+            if (!resolved.startsWith(path.resolve(targetDir) + path.sep)) {
+                throw new Error(`Unsafe path in archive: ${name}`);
+            }
+            return resolved;
+        };
+
+        const consume = () => {
+            while (!done) {
+                if (skip > 0) {
+                    const count = Math.min(skip, buffer.length);
+                    buffer = buffer.subarray(count);
+                    skip -= count;
+                    if (skip > 0) return;
+                }
+
+                if (entry) {
+                    const count = Math.min(entry.remaining, buffer.length);
+                    if (entry.fd !== undefined) {
+                        fs.writeSync(entry.fd, buffer, 0, count);
+                    } else {
+                        entry.chunks.push(buffer.subarray(0, count));
+                    }
+                    buffer = buffer.subarray(count);
+                    entry.remaining -= count;
+                    if (entry.remaining > 0) return;
+
+                    if (entry.fd !== undefined) {
+                        fs.closeSync(entry.fd);
+                    } else {
+                        pax = parsePaxRecords(Buffer.concat(entry.chunks));
+                    }
+                    skip = (BLOCK_SIZE - entry.size % BLOCK_SIZE) % BLOCK_SIZE;
+                    entry = null;
+                    continue;
+                }
+
+                if (buffer.length < BLOCK_SIZE) return;
+                const block = buffer.subarray(0, BLOCK_SIZE);
+                buffer = buffer.subarray(BLOCK_SIZE);
+
+                if (block.every(byte => byte === 0)) {
+                    done = true;
+                    return;
+                }
+
+                const header = parseHeader(block);
+
+                if (header.type === 'x') {
+                    entry = { chunks: [], size: header.size, remaining: header.size };
+                    continue;
+                }
+
+                header.name = pax.path || header.name;
+                header.linkName = pax.linkpath || header.linkName;
+                pax = {};
+
+                if (header.type === '5') {
+                    fs.mkdirSync(resolvePath(header.name), { recursive: true });
+                } else if (header.type === '1') {
+                    const filePath = resolvePath(header.name);
+                    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                    try {
+                        fs.linkSync(resolvePath(header.linkName), filePath);
+                    } catch (err) {
+                        fs.copyFileSync(resolvePath(header.linkName), filePath);
+                    }
+                } else if (header.type === '0') {
+                    const filePath = resolvePath(header.name);
+                    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                    entry = { fd: fs.openSync(filePath, 'w'), size: header.size, remaining: header.size };
+                } else {
+                    // Global headers and other entry types carry nothing we need
+                    skip = header.size + (BLOCK_SIZE - header.size % BLOCK_SIZE) % BLOCK_SIZE;
+                }
+            }
+        };
+
+        const fail = (err) => {
+            done = true;
+            if (entry && entry.fd !== undefined) fs.closeSync(entry.fd);
+            entry = null;
+            input.destroy();
+            reject(err);
+        };
+
+        gunzip.on('data', chunk => {
+            if (done) return;
+            buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+            try {
+                consume();
+            } catch (err) {
+                fail(err);
+            }
+        });
+        gunzip.on('end', () => (entry ? fail(new Error('Archive is truncated')) : resolve()));
+        gunzip.on('error', fail);
+        input.on('error', fail);
+        input.pipe(gunzip);
+    });
+}
+
+class CacheArchive {
+    /**
+     * Ids of a token and its variants
+     */
+    getRenderIds(token) {
+        return [token.tokenId].concat(Object.keys(token.variants || {})
+            .map(variant => tokenStore.getVariantId(token.tokenId, variant)));
+    }
+
+    /**
+     * Tokens selected for export
+     * filter - { project, comp, tokenIds }, all optional
+     */
+    selectTokens(filter = {}) {
+        return tokenManager.getAllTokens().filter(token =>
+            (!filter.project || tokenManager.matchesProject(token, filter.project)) &&
+            (!filter.comp || token.compName === filter.comp || token.precompName === filter.comp) &&
+            (!filter.tokenIds || filter.tokenIds.includes(token.tokenId)));
+    }
+
+    /**
+     * Write tokens and their frames to a .tar.gz
+     * options - { project, comp, tokenIds, outputPath }
+     * Returns { archivePath, tokens, files, bytes }
+     */
+    async exportArchive(options = {}) {
+        const tokens = this.selectTokens(options);
+        if (tokens.length === 0) {
+            throw new Error('No tokens match the export filter');
+        }
+
+        const archivePath = options.outputPath ||
+            path.join(tokenManager.cacheDir, EXPORTS_DIR, `pulse-export-${new Date().toISOString().replace(/[:.]/g, '-')}.tar.gz`);
+        fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+
+        const metadata = {
+            version: ARCHIVE_VERSION,
+            exportedAt: new Date().toISOString(),
+            tokens: {}
+        };
+        for (const token of tokens) {
+            metadata.tokens[token.tokenId] = token;
+        }
+
+        const writer = new ArchiveWriter(archivePath);
+        const archived = new Map();
+        let files = 0;
+
+        try {
+            await writer.addBuffer(METADATA_FILE, Buffer.from(JSON.stringify(metadata, null, 2)));
+
+            for (const token of tokens) {
+                for (const id of this.getRenderIds(token)) {
+                    const renderDir = tokenManager.getToken(id).renderDir;
+                    if (!renderDir || !fs.existsSync(renderDir)) continue;
+
+                    for (const file of fs.readdirSync(renderDir)) {
+                        const filePath = path.join(renderDir, file);
+                        const stat = fs.statSync(filePath);
+                        if (!stat.isFile()) continue;
+
+                        const name = `${RENDERS_PREFIX}/${id}/${file}`;
+                        const inode = `${stat.dev}:${stat.ino}`;
+
+                        if (archived.has(inode)) {
+                            await writer.addLink(name, archived.get(inode));
+                        } else {
+                            await writer.addFile(name, filePath, stat);
+                            archived.set(inode, name);
+                        }
+                        files++;
+                    }
+                }
+            }
+
+            await writer.close();
+        } catch (err) {
+            writer.gzip.destroy();
+            writer.output.destroy();
+            fs.rmSync(archivePath, { force: true });
+            throw err;
+        }
+
+        logger.info(`Exported ${tokens.length} tokens (${files} files) to ${archivePath}`);
+
+        return {
+            archivePath: archivePath,
+            tokens: tokens.map(token => token.tokenId),
+            files: files,
+            bytes: fs.statSync(archivePath).size
+        };
+    }
+
+    /**
+     * Merge an exported archive into this cache
+     * Tokens already cached here are skipped; tokens of the same content with other render
+     * settings or from another project have their own id and are imported. Render paths are
+     * remapped to this cache's renders folder
+     * Returns { imported, skipped }
+     */
+    async importArchive(archivePath) {
+        const stagingDir = path.join(tokenManager.cacheDir, IMPORTS_DIR, String(Date.now()));
+        const result = { imported: [], skipped: [] };
+
+        try {
+            await extract(archivePath, stagingDir);
+
+            let metadata;
+            try {
+                metadata = JSON.parse(fs.readFileSync(path.join(stagingDir, METADATA_FILE), 'utf8'));
+            } catch (err) {
+                throw new Error(`Not a Pulse cache export: ${archivePath}`);
+            }
+            if (!metadata.version || metadata.version > ARCHIVE_VERSION) {
+                throw new Error(`Unsupported export version: ${metadata.version}`);
+            }
+
+
+            for (const token of Object.values(metadata.tokens || {})) {
+                const invalid = this.validateToken(token);
+                if (invalid) {
+                    logger.warn(`Skipping archived token: ${invalid}`);
+                    result.skipped.push({ tokenId: token && token.tokenId, reason: invalid });
+                    continue;
+                }
+                if (tokenManager.getToken(token.tokenId)) {
+                    result.skipped.push({ tokenId: token.tokenId, reason: 'already cached' });
+                    continue;
+                }
+
+                this.importToken(token, stagingDir);
+                result.imported.push(token.tokenId);
+            }
+        } finally {
+            fs.rmSync(stagingDir, { recursive: true, force: true });
+            try {
+                fs.rmdirSync(path.dirname(stagingDir));
+            } catch (err) {
+                // Another import is still running
+            }
+        }
+
+        // Imported frames are checked and deduplicated like freshly rendered ones
+        for (const tokenId of result.imported) {
+            for (const id of this.getRenderIds(tokenManager.getToken(tokenId))) {
+                const target = tokenManager.getToken(id);
+                if (target.status !== 'ready') continue;
+
+                const report = integrity.inspect(target);
+                if (report.valid) {
+                    await cacheManager.recordRender(id);
+                } else {
+                    tokenManager.markIncomplete(id, report);
+                }
+            }
+        }
+
+        logger.info(`Imported ${result.imported.length} tokens from ${archivePath} (${result.skipped.length} skipped)`);
+        return result;
+    }
+
+    /**
+     * Check that an archived token only names folders inside this cache's renders folder
+     * The ids come from the archive and become paths that are deleted and replaced on import
+     * Returns an error message, or null if the token can be imported
+     */
+    validateToken(token) {
+        if (!token || typeof token !== 'object') return 'not a token';
+
+        const projectFolder = token.projectFolder;
+        if (projectFolder !== undefined && projectFolder !== null &&
+            !(typeof projectFolder === 'string' && SAFE_NAME.test(projectFolder))) {
+            return `invalid project folder: ${projectFolder}`;
+        }
+
+        for (const id of this.getRenderIds(token)) {
+            if (typeof id !== 'string' || !SAFE_NAME.test(id)) return `invalid token id: ${id}`;
+            try {
+                this.getImportDir(id, projectFolder);
+            } catch (err) {
+                return err.message;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Render folder an imported render moves to
+     * Throws if it isn't inside the renders folder
+     */
+    getImportDir(id, projectFolder) {
+        const rendersDir = path.resolve(tokenManager.rendersDir);
+        const renderDir = path.resolve(tokenStore.getRenderDir(tokenManager.cacheDir, id, projectFolder));
+
+        if (!renderDir.startsWith(rendersDir + path.sep)) {
+            throw new Error(`Render folder outside the cache: ${id}`);
+        }
+        return renderDir;
+    }
+
+    /**
+     * Move a token's render folders out of the staging folder and add it to the cache
+     */
+    importToken(token, stagingDir) {
+        const imported = Object.assign({}, token);
+        const entries = [[token.tokenId, imported]];
+
+        imported.variants = {};
+        for (const [variant, entry] of Object.entries(token.variants || {})) {
+            imported.variants[variant] = Object.assign({}, entry);
+            entries.push([tokenStore.getVariantId(token.tokenId, variant), imported.variants[variant]]);
+        }
+
+        for (const [id, entry] of entries) {
+            const stagedDir = path.join(stagingDir, RENDERS_PREFIX, id);
+            const renderDir = this.getImportDir(id, token.projectFolder);
+
+            fs.rmSync(renderDir, { recursive: true, force: true });
+            if (fs.existsSync(stagedDir)) {
+                fs.mkdirSync(path.dirname(renderDir), { recursive: true });
+                fs.renameSync(stagedDir, renderDir);
+            }
+
+            entry.renderDir = renderDir;
+            entry.renderFirstFrame = entry.renderFirstFrame && fs.existsSync(renderDir)
+                ? path.join(renderDir, path.basename(entry.renderFirstFrame))
+                : null;
+            entry.status = entry.renderFirstFrame ? (STATUS_ON_IMPORT[entry.status] || entry.status) : 'pending';
+            entry.swappedIn = false;
+            entry.lastAccess = new Date().toISOString();
+            delete entry.nextRetryAt;
+        }
+
+        tokenManager.importToken(imported);
+    }
+}
+
+module.exports = new CacheArchive();
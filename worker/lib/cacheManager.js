@@ -0,0 +1,369 @@
+/**
+ * Pulse Cache Manager
+ * Tracks disk usage of the render cache and evicts old renders
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const events = require('./events');
+const tokenManager = require('./tokenManager');
+const blobStore = require('./blobStore');
+const integrity = require('./integrity');
+const config = require('../config');
+const tokenStore = require('./tokenStore');
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Eviction requested after a render waits this long, so renders finishing together share one pass
+const EVICT_DELAY_MS = 5000;
+
+// Only finished renders are evicted; pending ones may hold frames of an interrupted render to resume.
+// Renders swapped in are never evicted, whatever their status
+const EVICTABLE_STATUSES = ['ready', 'dirty'];
+
+class CacheManager {
+    constructor() {
+        this.timer = null;
+        this.pendingTimer = null;
+        this.pendingKeep = new Set();
+    }
+
+    /**
+     * Start the periodic eviction pass
+     */
+    start() {
+        this.stop();
+
+        const minutes = Number(config.cache.evictIntervalMinutes) || 0;
+        if (minutes <= 0) return;
+
+        this.timer = setInterval(() => this.evict(), minutes * 60 * 1000);
+        // Don't keep the process alive just for eviction
+        this.timer.unref();
+    }
+
+    /**
+     * Stop the periodic eviction pass
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.pendingTimer) {
+            clearTimeout(this.pendingTimer);
+            this.pendingTimer = null;
+            this.pendingKeep.clear();
+        }
+    }
+
+    /**
+     * Run an eviction pass a little later instead of on the caller's path
+     * Requests made before it runs share the pass
+     * keep - token ids the pass leaves alone
+     */
+    requestEvict(keep = []) {
+        keep.forEach(tokenId => this.pendingKeep.add(tokenId));
+        if (this.pendingTimer) return;
+
+        this.pendingTimer = setTimeout(() => {
+            const kept = Array.from(this.pendingKeep);
+            this.pendingTimer = null;
+            this.pendingKeep.clear();
+
+            try {
+                this.evict({ keep: kept });
+            } catch (err) {
+                logger.warn('Cache eviction failed:', err.message);
+            }
+        }, EVICT_DELAY_MS);
+        this.pendingTimer.unref();
+    }
+
+    /**
+     * Total size in bytes of a file or directory
+     * seen - set of inodes already counted; hard links to them count as nothing
+     */
+    getSize(target, seen) {
+        try {
+            const stat = fs.statSync(target);
+            if (!stat.isDirectory()) {
+                const inode = `${stat.dev}:${stat.ino}`;
+                if (seen && seen.has(inode)) return 0;
+                if (seen) seen.add(inode);
+                return stat.size;
+            }
+
+            return fs.readdirSync(target)
+                .reduce((total, name) => total + this.getSize(path.join(target, name), seen), 0);
+        } catch (err) {
+            return 0;
+        }
+    }
+
+    /**
+     * Bytes the cache takes on disk, counting deduplicated frames once
+     */
+    getDiskUsage() {
+        const seen = new Set();
+        return this.getSize(tokenManager.rendersDir, seen) + this.getSize(blobStore.blobsDir, seen);
+    }
+
+    /**
+     * Size of a render folder
+     * exclusiveBytes only counts files no other render links to, i.e. what deleting the render frees
+     */
+    measureRender(renderDir) {
+        const size = { bytes: 0, exclusiveBytes: 0 };
+
+        try {
+            for (const file of fs.readdirSync(renderDir)) {
+                const stat = fs.statSync(path.join(renderDir, file));
+                size.bytes += stat.size;
+                // One link in the render folder, one in the blob store
+                if (stat.nlink <= 2) size.exclusiveBytes += stat.size;
+            }
+        } catch (err) {
+            // Missing directory - nothing on disk
+        }
+
+        return size;
+    }
+
+    /**
+     * Every render a token or variant owns, with its size on disk
+     */
+    getEntries() {
+        const entries = [];
+
+        for (const token of tokenManager.getAllTokens()) {
+            const ids = [token.tokenId].concat(Object.keys(token.variants || {})
+                .map(variant => tokenStore.getVariantId(token.tokenId, variant)));
+
+            for (const id of ids) {
+                const target = tokenManager.getToken(id);
+                if (!target || !target.renderDir) continue;
+                const size = this.measureRender(target.renderDir);
+
+                entries.push({
+                    tokenId: id,
+                    status: target.status,
+                    bytes: size.bytes,
+                    exclusiveBytes: size.exclusiveBytes,
+                    lastAccess: target.lastAccess || target.updatedAt || target.createdAt || null,
+                    swappedIn: tokenStore.isSwappedIn(target),
+                    evictable: EVICTABLE_STATUSES.includes(target.status) && !tokenStore.isSwappedIn(target)
+                });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Limits of the eviction policy in bytes and milliseconds (null when disabled)
+     */
+    getPolicy() {
+        const maxSizeGB = Number(config.cache.maxSizeGB) || 0;
+        const maxAgeDays = Number(config.cache.maxAgeDays) || 0;
+
+        return {
+            quotaBytes: maxSizeGB > 0 ? Math.round(maxSizeGB * BYTES_PER_GB) : null,
+            maxAgeMs: maxAgeDays > 0 ? maxAgeDays * MS_PER_DAY : null
+        };
+    }
+
+    /**
+     * Disk usage of the render cache
+     * totalBytes is the space actually used, with every deduplicated frame counted once;
+     * logicalBytes is what the renders would take as plain copies
+     * reclaimableBytes counts every render eviction may remove (not swapped in or rendering)
+     * plus blobs no render uses anymore
+     */
+    getStats() {
+        const entries = this.getEntries();
+        const policy = this.getPolicy();
+        const totalBytes = this.getDiskUsage();
+        const logicalBytes = this.getSize(tokenManager.rendersDir);
+        const garbage = blobStore.collectGarbage(true);
+
+        return {
+            totalBytes: totalBytes,
+            logicalBytes: logicalBytes,
+            dedupeSavedBytes: logicalBytes - this.getSize(tokenManager.rendersDir, new Set()),
+            reclaimableBytes: entries.filter(entry => entry.evictable)
+                .reduce((total, entry) => total + entry.exclusiveBytes, garbage.freedBytes),
+            quotaBytes: policy.quotaBytes,
+            maxAgeDays: Number(config.cache.maxAgeDays) || null,
+            overQuota: policy.quotaBytes !== null && totalBytes > policy.quotaBytes,
+            tokens: entries.sort((a, b) => b.bytes - a.bytes)
+        };
+    }
+
+    /**
+     * Remove renders older than the max age, then least recently used renders
+     * until the cache fits the quota. Renders that are swapped in or rendering are never removed.
+     * keep - token ids to leave alone, e.g. a render that just finished
+     * Returns the evicted token ids and the bytes freed
+     */
+    evict(options = {}) {
+        const keep = options.keep || [];
+        const policy = this.getPolicy();
+        const result = { evicted: [], freedBytes: 0 };
+
+        if (policy.quotaBytes === null && policy.maxAgeMs === null) {
+            result.freedBytes = blobStore.collectGarbage().freedBytes;
+            return result;
+        }
+
+        const candidates = this.getEntries()
+            .filter(entry => entry.evictable && entry.bytes > 0 && !keep.includes(entry.tokenId))
+            .sort((a, b) => new Date(a.lastAccess || 0) - new Date(b.lastAccess || 0));
+
+        const usedBytes = this.getDiskUsage();
+        let totalBytes = usedBytes;
+        const now = Date.now();
+
+        for (const entry of candidates) {
+            const expired = policy.maxAgeMs !== null && now - new Date(entry.lastAccess || 0) > policy.maxAgeMs;
+            const overQuota = policy.quotaBytes !== null && totalBytes > policy.quotaBytes;
+            // Candidates are oldest first, so nothing after a kept render is expired either
+            if (!expired && !overQuota) break;
+
+            this.evictRender(entry.tokenId, expired ? 'max-age' : 'quota');
+            result.evicted.push(entry.tokenId);
+
+            // Frames shared with other renders stay on disk until their last render goes
+            if (policy.quotaBytes !== null) {
+                blobStore.collectGarbage();
+                totalBytes = this.getDiskUsage();
+            }
+        }
+
+        blobStore.collectGarbage();
+        result.freedBytes = usedBytes - this.getDiskUsage();
+
+        if (result.evicted.length > 0) {
+            logger.info(`Cache eviction freed ${result.freedBytes} bytes`, result.evicted);
+        }
+
+        return result;
+    }
+
+    /**
+     * Remove render folders no token refers to, and tokens whose render vanished from disk
+     * A project folder without any known render is removed as a whole
+     * Tokens that are swapped in or rendering are left alone
+     * dryRun - only report what would be deleted
+     */
+    prune(options = {}) {
+        const dryRun = !!options.dryRun;
+        const known = new Set();
+        const vanished = [];
+
+        for (const token of tokenManager.getAllTokens()) {
+            const ids = [token.tokenId].concat(Object.keys(token.variants || {})
+                .map(variant => tokenStore.getVariantId(token.tokenId, variant)));
+
+            for (const id of ids) {
+                const target = tokenManager.getToken(id);
+                known.add(path.resolve(target.renderDir));
+
+                if (target.renderFirstFrame && target.status !== 'rendering' && !tokenStore.isSwappedIn(target) &&
+                    !tokenManager.renderExists(id)) {
+                    vanished.push(id);
+                }
+            }
+
+            // A token goes with its variants, so keep it while one of them still has a render
+            const variantRendered = ids.slice(1).some(id => tokenManager.renderExists(id));
+            if (variantRendered && vanished.includes(token.tokenId)) {
+                vanished.splice(vanished.indexOf(token.tokenId), 1);
+            }
+        }
+
+        // Renders of a project live one level down, in the project's folder
+        const projectDirs = new Set(Array.from(known).map(dir => path.dirname(dir))
+            .filter(dir => dir !== path.resolve(tokenManager.rendersDir)));
+
+        const orphanDirs = this.listDirs(tokenManager.rendersDir)
+            .reduce((dirs, dir) => dirs.concat(projectDirs.has(dir) ? this.listDirs(dir) : [dir]), [])
+            .filter(dir => !known.has(dir))
+            .map(dir => ({ path: dir, bytes: this.getSize(dir) }));
+
+        const result = {
+            dryRun: dryRun,
+            orphanDirs: orphanDirs,
+            tokens: vanished,
+            unusedBlobs: 0,
+            freedBytes: orphanDirs.reduce((total, dir) => total + dir.bytes, 0)
+        };
+
+        if (!dryRun) {
+            for (const dir of orphanDirs) {
+                fs.rmSync(dir.path, { recursive: true, force: true });
+            }
+            for (const id of vanished) {
+                tokenManager.deleteToken(id, true);
+            }
+        }
+
+        // Blobs only the removed folders used are counted once they're gone
+        const garbage = blobStore.collectGarbage(dryRun);
+        result.unusedBlobs = garbage.removed;
+        result.freedBytes += garbage.freedBytes;
+
+        if (!dryRun) {
+            logger.info(`Cache pruned: ${orphanDirs.length} orphaned folders, ${vanished.length} tokens without renders, ${garbage.removed} unused blobs`);
+        }
+        return result;
+    }
+
+    /**
+     * Absolute paths of the folders directly inside a directory
+     */
+    listDirs(dir) {
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir)
+            .map(name => path.resolve(dir, name))
+            .filter(target => fs.statSync(target).isDirectory());
+    }
+
+    /**
+     * Record the checksums of a complete render and deduplicate its frames
+     * A failure here doesn't fail the render
+     */
+    async recordRender(tokenId) {
+        try {
+            const token = tokenManager.getToken(tokenId);
+            const manifest = await integrity.writeManifest(token);
+
+            if (blobStore.store(token.renderDir, manifest).linked > 0) {
+                integrity.saveManifest(token.renderDir, manifest);
+            }
+        } catch (err) {
+            logger.warn(`Failed to write manifest for ${tokenId}:`, err.message);
+        }
+    }
+
+    /**
+     * Delete a token's render files; the token stays and renders again when needed
+     */
+    evictRender(tokenId, reason) {
+        const token = tokenManager.getToken(tokenId);
+        tokenManager.cleanRender(tokenId);
+
+        tokenManager.updateStatus(tokenId, token.status === 'ready' ? 'pending' : token.status, {
+            renderFirstFrame: null,
+            dirtyRanges: null,
+            evictedAt: new Date().toISOString()
+        });
+
+        events.publish('cache:evicted', { tokenId, reason });
+    }
+}
+
+module.exports = new CacheManager();
@@ -0,0 +1,41 @@
+/**
+ * Pulse Event Bus
+ * Publishes render job and token lifecycle events to subscribers
+ */
+
+const { EventEmitter } = require('events');
+
+class EventBus extends EventEmitter {
+    constructor() {
+        super();
+        // Every open /events connection adds a listener
+        this.setMaxListeners(0);
+        this.sequence = 0;
+    }
+
+    /**
+     * Publish an event to all subscribers
+     */
+    publish(type, data = {}) {
+        const event = {
+            id: ++this.sequence,
+            type: type,
+            timestamp: new Date().toISOString(),
+            ...data
+        };
+
+        this.emit('event', event);
+        return event;
+    }
+
+    /**
+     * Subscribe to all events
+     * Returns a function that removes the subscription
+     */
+    subscribe(listener) {
+        this.on('event', listener);
+        return () => this.off('event', listener);
+    }
+}
+
+module.exports = new EventBus();
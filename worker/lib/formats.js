@@ -0,0 +1,180 @@
+/**
+ * Pulse Output Formats
+ * Registry of the formats tokens can be rendered to
+ */
+
+const config = require('../config');
+const tokenStore = require('./tokenStore');
+
+// Movie formats render a single file named render.<extension>
+const MOVIE_NAME = 'render';
+
+// Output module settings of the image sequence templates Pulse saves itself
+const WITH_ALPHA = { 'Channels': 'RGB + Alpha', 'Depth': 'Millions of Colors+', 'Color': 'Straight (Unmatted)' };
+const FLOAT_WITH_ALPHA = { 'Channels': 'RGB + Alpha', 'Depth': 'Floating Point+', 'Color': 'Straight (Unmatted)' };
+
+/**
+ * Built-in formats
+ * template - aerender output module template (-OMtemplate)
+ * settings - output module settings (OutputModule.setSettings) for templates After Effects doesn't
+ * ship with; the panel saves the template from them before the format's first render
+ * sequence - true for one file per frame, false for a single movie file
+ */
+const BUILT_IN_FORMATS = {
+    png: {
+        label: 'PNG Sequence',
+        template: 'Pulse PNG Sequence',
+        settings: { 'Format': 'PNG Sequence', 'Video Output': WITH_ALPHA },
+        extension: 'png',
+        alpha: true,
+        bitDepth: 8,
+        sequence: true
+    },
+    jpeg: {
+        label: 'JPEG Sequence',
+        template: 'Pulse JPEG Sequence',
+        settings: { 'Format': 'JPEG Sequence', 'Video Output': { 'Channels': 'RGB' } },
+        extension: 'jpg',
+        alpha: false,
+        bitDepth: 8,
+        sequence: true
+    },
+    tiff: {
+        label: 'TIFF Sequence',
+        template: 'TIFF Sequence with Alpha',
+        extension: 'tif',
+        alpha: true,
+        bitDepth: 8,
+        sequence: true
+    },
+    exr: {
+        label: 'OpenEXR',
+        template: 'Pulse OpenEXR Sequence',
+        settings: { 'Format': 'OpenEXR Sequence', 'Video Output': FLOAT_WITH_ALPHA },
+        extension: 'exr',
+        alpha: true,
+        bitDepth: 32,
+        sequence: true
+    },
+    // Saved like exr; pick the layers to write in the template's OpenEXR options and Pulse keeps it
+    'exr-multilayer': {
+        label: 'OpenEXR Multilayer',
+        template: 'Pulse OpenEXR Multilayer',
+        settings: { 'Format': 'OpenEXR Sequence', 'Video Output': FLOAT_WITH_ALPHA },
+        extension: 'exr',
+        alpha: true,
+        bitDepth: 32,
+        sequence: true
+    },
+    prores: {
+        label: 'Apple ProRes 4444',
+        template: 'Apple ProRes 4444',
+        extension: 'mov',
+        alpha: true,
+        bitDepth: 12,
+        sequence: false
+    },
+    'prores-422': {
+        label: 'Apple ProRes 422 HQ',
+        template: 'Apple ProRes 422 HQ',
+        extension: 'mov',
+        alpha: false,
+        bitDepth: 10,
+        sequence: false
+    }
+};
+
+class FormatRegistry {
+    /**
+     * Get a format by name
+     * Custom formats from config.customFormats override built-in ones of the same name
+     * Returns null for unknown formats
+     */
+    get(name) {
+        if (!name) return null;
+        const key = String(name).toLowerCase();
+
+        const custom = (config.customFormats || []).find(entry => String(entry.name).toLowerCase() === key);
+        if (custom) {
+            return this.normalize(custom, true);
+        }
+
+        if (BUILT_IN_FORMATS[key]) {
+            return this.normalize(Object.assign({ name: key }, BUILT_IN_FORMATS[key]), false);
+        }
+
+        return null;
+    }
+
+    /**
+     * List every available format, built-in and custom
+     */
+    list() {
+        const names = Object.keys(BUILT_IN_FORMATS)
+            .concat((config.customFormats || []).map(entry => String(entry.name).toLowerCase()));
+
+        return Array.from(new Set(names)).map(name => this.get(name));
+    }
+
+    /**
+     * Fill in defaults for a format entry
+     */
+    normalize(entry, custom) {
+        return {
+            name: String(entry.name).toLowerCase(),
+            label: entry.label || entry.name,
+            template: entry.template,
+            settings: entry.settings || null,
+            extension: String(entry.extension).replace(/^\./, '').toLowerCase(),
+            alpha: !!entry.alpha,
+            bitDepth: entry.bitDepth || 8,
+            sequence: entry.sequence !== false,
+            custom: custom
+        };
+    }
+
+    /**
+     * Check a custom format entry
+     * Returns an error message, or null if the entry is valid
+     */
+    validate(entry) {
+        if (!entry || typeof entry !== 'object') return 'Format entry must be an object';
+        if (!entry.name || !/^[a-z0-9_-]+$/i.test(entry.name)) return 'Format name must only contain letters, digits, "-" and "_"';
+        if (!entry.template) return `Format ${entry.name} needs an output module template`;
+        if (entry.settings !== undefined && (!entry.settings || typeof entry.settings !== 'object' || !entry.settings['Format'])) {
+            return `Format ${entry.name} settings must be output module settings naming a "Format"`;
+        }
+        if (!entry.extension || !/^\.?[a-z0-9]+$/i.test(entry.extension)) return `Format ${entry.name} needs a file extension`;
+        if (entry.bitDepth !== undefined && ![8, 10, 12, 16, 32].includes(entry.bitDepth)) return `Format ${entry.name} has an unsupported bit depth: ${entry.bitDepth}`;
+        return null;
+    }
+
+    /**
+     * File name aerender writes to inside a token's render folder
+     * Sequences use [#####] for 5-digit frame padding
+     */
+    getOutputName(name) {
+        const format = this.get(name);
+        if (!format) return null;
+
+        return format.sequence
+            ? `${tokenStore.FRAME_PREFIX}[#####].${format.extension}`
+            : `${MOVIE_NAME}.${format.extension}`;
+    }
+
+    /**
+     * File extensions of every image sequence format
+     */
+    getSequenceExtensions() {
+        return Array.from(new Set(this.list().filter(format => format.sequence).map(format => format.extension)));
+    }
+
+    /**
+     * Pattern matching a numbered frame file of any sequence format; group 1 is the frame number
+     */
+    getFramePattern() {
+        return new RegExp(`_(\\d+)\\.(${this.getSequenceExtensions().join('|')})$`, 'i');
+    }
+}
+
+module.exports = new FormatRegistry();
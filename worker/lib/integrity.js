@@ -0,0 +1,303 @@
+/**
+ * Pulse Render Integrity
+ * Checks rendered frames for gaps and damage, and keeps a checksum manifest per render
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const formats = require('./formats');
+const renderErrors = require('./renderErrors');
+const config = require('../config');
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Bytes a complete file of these types starts or ends with; other formats are only checked for size
+const SIGNATURES = {
+    png: { head: [Buffer.from([0x89, 0x50, 0x4e, 0x47])], tail: Buffer.from([0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82]) },
+    jpg: { head: [Buffer.from([0xff, 0xd8])], tail: Buffer.from([0xff, 0xd9]) },
+    tif: { head: [Buffer.from('II*\0', 'binary'), Buffer.from('MM\0*', 'binary')] },
+    exr: { head: [Buffer.from([0x76, 0x2f, 0x31, 0x01])] }
+};
+
+class RenderIntegrity {
+    /**
+     * Check that every expected frame of a render is on disk and intact
+     * Cheap enough to run on every token at startup: only sizes and a few bytes per file are read
+     * Returns { valid, sequence, startFrame, expectedFrames, missingFrames, damagedFrames, ranges }
+     * Frames are counted from the token's first frame, like dirty ranges and chunks;
+     * files are numbered from startFrame
+     * ranges - frame ranges to re-render, for sequences
+     */
+    inspect(token) {
+        const format = this.getFormat(token);
+        const files = this.listFiles(token.renderDir, format);
+        const report = {
+            valid: true,
+            sequence: format.sequence,
+            startFrame: format.sequence ? this.getStartFrame(token, files) : 0,
+            expectedFrames: token.frameCount || Math.ceil((token.duration || 0) * (token.frameRate || 0)),
+            missingFrames: [],
+            damagedFrames: [],
+            ranges: null
+        };
+
+        if (!format.sequence) {
+            const movie = formats.getOutputName(format.name);
+            if (!files.has(movie)) {
+                report.missingFrames.push(movie);
+            } else {
+                const problem = this.checkFile(path.join(token.renderDir, movie), format.extension);
+                if (problem) report.damagedFrames.push({ file: movie, reason: problem });
+            }
+        } else {
+            // Without a known length, only the frames on disk can be checked
+            const frames = report.expectedFrames > 0
+                ? Array.from({ length: report.expectedFrames }, (_, frame) => frame)
+                : Array.from(files.keys()).map(number => number - report.startFrame).sort((a, b) => a - b);
+
+            for (const frame of frames) {
+                const file = files.get(report.startFrame + frame);
+                if (!file) {
+                    report.missingFrames.push(frame);
+                    continue;
+                }
+                const problem = this.checkFile(path.join(token.renderDir, file), format.extension);
+                if (problem) report.damagedFrames.push({ frame, file, reason: problem });
+            }
+
+            report.ranges = this.toRanges(report.missingFrames.concat(report.damagedFrames.map(d => d.frame)));
+        }
+
+        report.valid = report.missingFrames.length === 0 && report.damagedFrames.length === 0;
+        return report;
+    }
+
+    /**
+     * Inspect a render and compare every frame against the checksum manifest
+     * A valid render without a complete manifest gets one
+     * Frames whose contents changed since the manifest was written are reported as damaged
+     */
+    async verify(token) {
+        const report = this.inspect(token);
+        const manifest = this.readManifest(token.renderDir);
+        const damaged = new Set(report.damagedFrames.map(d => d.file));
+
+        report.checksummed = 0;
+
+        if (manifest) {
+            for (const [file, entry] of Object.entries(manifest.files)) {
+                const filePath = path.join(token.renderDir, file);
+                if (damaged.has(file) || !fs.existsSync(filePath)) continue;
+
+                const sha256 = await this.hashFile(filePath);
+                report.checksummed++;
+
+                if (sha256 !== entry.sha256) {
+                    const frame = entry.frame !== null ? entry.frame - report.startFrame : null;
+                    report.damagedFrames.push({ frame, file, reason: 'checksum' });
+                }
+            }
+
+            if (report.sequence) {
+                report.ranges = this.toRanges(report.missingFrames.concat(report.damagedFrames.map(d => d.frame)));
+            }
+            report.valid = report.missingFrames.length === 0 && report.damagedFrames.length === 0;
+        }
+
+        if (report.valid && (!manifest || report.checksummed < this.listFiles(token.renderDir, this.getFormat(token)).size)) {
+            await this.writeManifest(token);
+        }
+
+        return report;
+    }
+
+    /**
+     * Record the size and SHA-256 of every file of a render in its manifest
+     * Files whose size and modification time didn't change keep their checksum
+     */
+    async writeManifest(token) {
+        const format = this.getFormat(token);
+        const previous = this.readManifest(token.renderDir);
+        const manifest = {
+            format: format.name,
+            frameCount: token.frameCount || null,
+            updatedAt: new Date().toISOString(),
+            files: {}
+        };
+
+        for (const [frame, file] of this.listFiles(token.renderDir, format)) {
+            const filePath = path.join(token.renderDir, file);
+            const stat = fs.statSync(filePath);
+            const known = previous && previous.files[file];
+
+            manifest.files[file] = {
+                frame: typeof frame === 'number' ? frame : null,
+                size: stat.size,
+                mtimeMs: stat.mtimeMs,
+                sha256: known && known.size === stat.size && known.mtimeMs === stat.mtimeMs
+                    ? known.sha256
+                    : await this.hashFile(filePath)
+            };
+        }
+
+        this.saveManifest(token.renderDir, manifest);
+        logger.debug(`Manifest written: ${token.tokenId} (${Object.keys(manifest.files).length} files)`);
+        return manifest;
+    }
+
+    /**
+     * Write a render's manifest
+     */
+    saveManifest(renderDir, manifest) {
+        fs.writeFileSync(path.join(renderDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    }
+
+    /**
+     * Read a render's manifest, or null if it has none
+     */
+    readManifest(renderDir) {
+        try {
+            const manifest = JSON.parse(fs.readFileSync(path.join(renderDir, MANIFEST_FILE), 'utf8'));
+            return manifest && manifest.files ? manifest : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Number of the first file of a sequence render
+     * AE numbers files by comp frame, so a comp displayed from 01:00:00:00 at 25 fps starts at 90000.
+     * Tokens created before the start frame was recorded fall back to the lowest file on disk
+     * when no render of theirs could have been numbered from 0.
+     * files - the render's files from listFiles, read when omitted
+     */
+    getStartFrame(token, files) {
+        if (Number.isInteger(token.startFrame)) return token.startFrame;
+
+        const numbers = Array.from((files || this.listFiles(token.renderDir, this.getFormat(token))).keys())
+            .filter(Number.isInteger);
+        const lowest = numbers.length > 0 ? Math.min(...numbers) : 0;
+        const frameCount = token.frameCount || Math.ceil((token.duration || 0) * (token.frameRate || 0));
+        return lowest >= frameCount ? lowest : 0;
+    }
+
+    /**
+     * Render files of a token's format, keyed by file frame number (by file name for movies)
+     */
+    listFiles(renderDir, format) {
+        const files = new Map();
+        const framePattern = formats.getFramePattern();
+
+        try {
+            for (const file of fs.readdirSync(renderDir)) {
+                if (!format.sequence) {
+                    if (file === formats.getOutputName(format.name)) files.set(file, file);
+                    continue;
+                }
+                const match = file.match(framePattern);
+                if (match && match[2].toLowerCase() === format.extension) {
+                    files.set(parseInt(match[1], 10), file);
+                }
+            }
+        } catch (err) {
+            // Missing directory - no files
+        }
+
+        return files;
+    }
+
+    /**
+     * Check a single file for damage
+     * Returns 'empty', 'truncated', or null if the file looks complete
+     */
+    checkFile(filePath, extension) {
+        let fd = null;
+        try {
+            const size = fs.statSync(filePath).size;
+            if (size === 0) return 'empty';
+
+            const signature = SIGNATURES[extension];
+            if (!signature) return null;
+
+            fd = fs.openSync(filePath, 'r');
+
+            if (signature.head) {
+                const length = Math.max(...signature.head.map(head => head.length));
+                const head = Buffer.alloc(length);
+                fs.readSync(fd, head, 0, length, 0);
+                if (!signature.head.some(expected => head.subarray(0, expected.length).equals(expected))) {
+                    return 'truncated';
+                }
+            }
+
+            if (signature.tail) {
+                if (size < signature.tail.length) return 'truncated';
+                const tail = Buffer.alloc(signature.tail.length);
+                fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+                if (!tail.equals(signature.tail)) return 'truncated';
+            }
+
+            return null;
+        } catch (err) {
+            return 'truncated';
+        } finally {
+            if (fd !== null) fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * SHA-256 of a file's contents
+     */
+    hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * Collapse frame numbers into sorted { start, end } ranges
+     */
+    toRanges(frames) {
+        const sorted = Array.from(new Set(frames)).sort((a, b) => a - b);
+        const ranges = [];
+
+        for (const frame of sorted) {
+            const last = ranges[ranges.length - 1];
+            if (last && frame === last.end + 1) {
+                last.end = frame;
+            } else {
+                ranges.push({ start: frame, end: frame });
+            }
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Error for a render that finished without all of its frames intact
+     */
+    createError(report) {
+        const count = report.missingFrames.length + report.damagedFrames.length;
+        const details = report.damagedFrames.map(d => ({ type: 'damaged-frame', message: `${d.file}: ${d.reason}`, path: d.file }));
+
+        return new renderErrors.RenderError(
+            `Render is incomplete: ${count} of ${report.expectedFrames || count} frames missing or damaged`,
+            { code: 'INCOMPLETE', category: 'incomplete', details }
+        );
+    }
+
+    /**
+     * Output format of a token
+     */
+    getFormat(token) {
+        return formats.get(token.format) || formats.get(config.format);
+    }
+}
+
+module.exports = new RenderIntegrity();
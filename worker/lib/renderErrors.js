@@ -0,0 +1,217 @@
+/**
+ * Pulse Render Errors
+ * Parses aerender output into structured failures
+ */
+
+/**
+ * Error raised by a failed render
+ * code     - After Effects error code (e.g. "25::3"), or EXIT_<n> when aerender gave none
+ * category - Failure class used by the retry policy and the panel (see CATEGORIES)
+ * frame    - Comp frame being rendered when the failure happened, if known
+ * details  - [{ type, message, path?, name? }] problems found in the output
+ */
+class RenderError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'RenderError';
+        this.code = options.code || null;
+        this.category = options.category || 'unknown';
+        this.frame = options.frame !== undefined ? options.frame : null;
+        this.details = options.details || [];
+    }
+
+    toJSON() {
+        return {
+            message: this.message,
+            code: this.code,
+            category: this.category,
+            frame: this.frame,
+            details: this.details
+        };
+    }
+}
+
+// Lines aerender prints for errors and warnings: "aerender ERROR: ...", "ERROR:...",
+// "After Effects error: ...", "Unable to Render: ..."; the rest is progress and project text
+const MESSAGE_LINE = /^(?:aerender\s+(error|warning)\b|(error|warning)\s*:|after effects (error|warning)\s*:|unable to render\b)/i;
+
+// Failure categories, most specific first; the first one found in an error line wins
+const CATEGORIES = [
+    {
+        category: 'license',
+        pattern: /licen[sc]e|not activated|trial (has )?expired/i,
+        message: 'After Effects license issue. Make sure AE is properly licensed.'
+    },
+    {
+        category: 'missing-comp',
+        pattern: /no comp(osition)? was found|comp(osition)? .*(doesn't|does not) exist/i,
+        message: 'Composition not found in project. Make sure the project is saved.'
+    },
+    {
+        category: 'project-locked',
+        pattern: /\blocked\b|in use by another|being used by another/i,
+        message: 'Project file is locked by another process.'
+    },
+    {
+        category: 'project-open',
+        pattern: /unable to open project|project could not be opened|not a valid project|newer version of after effects/i,
+        message: 'The project could not be opened by aerender.'
+    },
+    {
+        category: 'memory',
+        pattern: /out of memory|memory allocation|not enough memory|unable to allocate/i,
+        message: 'Out of memory. Try reducing composition complexity.'
+    },
+    {
+        category: 'disk-full',
+        pattern: /disk (is )?full|no space left|not enough (disk )?space/i,
+        message: 'Disk full. Free up space in the cache directory.'
+    },
+    {
+        category: 'output-module',
+        pattern: /output module/i,
+        message: 'Output module error. The output settings may not be compatible.'
+    },
+    {
+        category: 'missing-plugin',
+        pattern: /(plug-?in|effect).*(missing|not found|could not be found|not installed)|missing (plug-?in|effect)/i,
+        message: 'An effect or plug-in used by the composition is not installed.'
+    }
+];
+
+// Problems reported in error and warning lines, collected into error details
+const DETAIL_PATTERNS = [
+    {
+        type: 'missing-footage',
+        pattern: /(?:footage|file)(?: file)? (?:is )?(?:missing|not found|could not be found)[:\s]+["']?(.+?)["']?\s*$/i,
+        field: 'path'
+    },
+    {
+        type: 'missing-footage',
+        pattern: /(?:missing footage|unable to find file|cannot find file)[:\s]+["']?(.+?)["']?\s*$/i,
+        field: 'path'
+    },
+    {
+        type: 'missing-font',
+        pattern: /(?:missing font|font (?:is )?(?:missing|not found|not available))[:\s]+["']?(.+?)["']?\s*$/i,
+        field: 'name'
+    },
+    {
+        type: 'missing-font',
+        pattern: /font ["']?(.+?)["']? (?:is )?(?:missing|not found|not available)/i,
+        field: 'name'
+    },
+    {
+        type: 'missing-plugin',
+        pattern: /(?:missing (?:effect|plug-?in)|(?:effect|plug-?in) (?:is )?(?:missing|not found|not installed))[:\s]+["']?(.+?)["']?\s*$/i,
+        field: 'name'
+    },
+    {
+        type: 'missing-plugin',
+        pattern: /(?:effect|plug-?in) ["']?(.+?)["']? (?:is )?(?:missing|could not be found|not installed)/i,
+        field: 'name'
+    },
+    {
+        type: 'output-module',
+        pattern: /(output module.*(?:error|fail|unable|invalid|not).*)$/i,
+        field: null
+    }
+];
+
+/**
+ * Parse aerender output
+ * Returns { code, frame, details, errors } - code and frame are null when not found;
+ * frame is relative to the start of the rendered range; errors are the error lines
+ */
+function parseOutput(stdout, stderr) {
+    const lines = `${stdout || ''}\n${stderr || ''}`.split(/\r?\n/);
+    const details = [];
+    const errors = [];
+    const seen = new Set();
+    let code = null;
+    let rendered = null;
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line) continue;
+
+        // Number of frames aerender reported as rendered
+        const progress = line.match(/PROGRESS:\s+[\d:;]+\s+\((\d+)\)/);
+        if (progress) {
+            rendered = parseInt(progress[1], 10);
+            continue;
+        }
+
+        // Project paths, comp and layer names can say anything, so only messages are read
+        const message = line.match(MESSAGE_LINE);
+        if (!message) continue;
+        const isError = (message[1] || message[2] || message[3] || 'error').toLowerCase() === 'error';
+
+        // After Effects error codes look like "( 25 :: 3 )"
+        const aeCode = line.match(/\(\s*(-?\d+)\s*::\s*(-?\d+)\s*\)/);
+        if (aeCode && isError && !code) {
+            code = `${aeCode[1]}::${aeCode[2]}`;
+        }
+
+        for (const { type, pattern, field } of DETAIL_PATTERNS) {
+            const match = line.match(pattern);
+            if (!match) continue;
+
+            const key = `${type}:${match[1]}`;
+            if (seen.has(key)) break;
+            seen.add(key);
+
+            const detail = { type, message: line };
+            if (field) detail[field] = match[1];
+            details.push(detail);
+            break;
+        }
+
+        if (isError) {
+            errors.push(line);
+            if (!details.some(detail => detail.message === line)) {
+                details.push({ type: 'error', message: line });
+            }
+        }
+    }
+
+    return {
+        code,
+        // The failure hit the frame after the last one reported, counted from the first frame rendered
+        frame: rendered,
+        details,
+        errors
+    };
+}
+
+/**
+ * Classify a failed aerender run into a RenderError
+ */
+function classify(exitCode, stdout, stderr) {
+    const parsed = parseOutput(stdout, stderr);
+
+    let category = 'unknown';
+    let message = `aerender exited with code ${exitCode}`;
+
+    const match = CATEGORIES.find(entry => parsed.errors.some(line => entry.pattern.test(line)));
+    if (match) {
+        category = match.category;
+        message = match.message;
+    } else if (parsed.details.some(detail => detail.type === 'missing-footage')) {
+        category = 'missing-footage';
+        message = 'Footage used by the composition is missing.';
+    }
+
+    return new RenderError(message, {
+        code: parsed.code || `EXIT_${exitCode}`,
+        category: category,
+        frame: parsed.frame,
+        details: parsed.details
+    });
+}
+
+module.exports = {
+    RenderError,
+    parseOutput,
+    classify
+};
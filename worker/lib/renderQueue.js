@@ -3,21 +3,83 @@
  * Manages render job queue with concurrency control
  */
 
+const path = require('path');
 const logger = require('./logger');
 const tokenManager = require('./tokenManager');
 const aerender = require('./aerender');
+const cacheManager = require('./cacheManager');
+const integrity = require('./integrity');
+const events = require('./events');
+const safeFile = require('./safeFile');
 const config = require('../config');
 
+// Named priority levels accepted by the API; higher renders sooner
+const PRIORITIES = {
+    low: -10,
+    normal: 0,
+    high: 10
+};
+
+// The journal is rewritten on every queue change, so one backup is kept instead of the usual three
+const JOURNAL_BACKUPS = 1;
+
 class RenderQueue {
     constructor() {
         this.queue = [];
+        this.active = new Map();
         this.processing = false;
+        this.journalFile = null;
+    }
+
+    /**
+     * Initialize with cache directory and replay the journal
+     * Must run after tokenManager.init() so replayed jobs can find their tokens
+     * Renders still running keep their place in the active set
+     */
+    init(cacheDir) {
+        this.journalFile = path.join(cacheDir, 'queue.json');
+        this.queue = [];
+        this.loadJournal();
+    }
+
+    /**
+     * Resolve a priority name or number to a number
+     */
+    normalizePriority(priority) {
+        if (priority === undefined || priority === null || priority === '') {
+            return PRIORITIES.normal;
+        }
+        if (typeof priority === 'string' && PRIORITIES[priority.toLowerCase()] !== undefined) {
+            return PRIORITIES[priority.toLowerCase()];
+        }
+
+        const value = Number(priority);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid priority: ${priority}`);
+        }
+        return value;
+    }
+
+    /**
+     * Insert a job behind every queued job of equal or higher priority
+     * Returns the 1-based queue position
+     */
+    insertJob(job) {
+        let index = this.queue.length;
+        while (index > 0 && this.queue[index - 1].priority < job.priority) {
+            index--;
+        }
+
+        this.queue.splice(index, 0, job);
+        return index + 1;
     }
 
     /**
      * Add a render job to the queue
+     * options.priority - number or 'low' | 'normal' | 'high' (default 'normal')
+     * options.preempt - cancel and requeue a lower-priority active render if no slot is free
      */
-    enqueue(tokenId, projectPath) {
+    enqueue(tokenId, projectPath, options = {}) {
         // Check if already in queue
         if (this.queue.some(job => job.tokenId === tokenId)) {
             logger.warn(`Token ${tokenId} already in queue`);
@@ -30,13 +92,22 @@ class RenderQueue {
             return false;
         }
 
-        this.queue.push({
+        const job = {
             tokenId,
             projectPath,
+            priority: this.normalizePriority(options.priority),
             addedAt: new Date().toISOString()
-        });
+        };
 
-        logger.info(`Added ${tokenId} to render queue (position: ${this.queue.length})`);
+        const position = this.insertJob(job);
+        this.saveJournal();
+
+        logger.info(`Added ${tokenId} to render queue (position: ${position}, priority: ${job.priority})`);
+        events.publish('job:queued', { tokenId, position, priority: job.priority });
+
+        if (options.preempt !== undefined ? options.preempt : config.preempt) {
+            this.preemptFor(job);
+        }
 
         // Start processing if not already
         this.processQueue();
@@ -59,15 +130,35 @@ class RenderQueue {
                 continue;
             }
 
-            const job = this.queue.shift();
-            if (!job) continue;
+            // Skip jobs whose previous render is still shutting down (e.g. after preemption)
+            // and retries still waiting out their backoff
+            const now = Date.now();
+            const index = this.queue.findIndex(queued =>
+                !aerender.isRendering(queued.tokenId) && !(queued.notBefore && Date.parse(queued.notBefore) > now));
+            if (index === -1) {
+                await this.sleep(1000);
+                continue;
+            }
+
+            const [job] = this.queue.splice(index, 1);
 
             const token = tokenManager.getToken(job.tokenId);
             if (!token) {
                 logger.warn(`Token not found for job: ${job.tokenId}`);
+                this.saveJournal();
                 continue;
             }
 
+            // Interrupted jobs pick up from the last frame on disk (chunked jobs resume per chunk)
+            if (job.resume && config.resumeRenders && !job.chunks) {
+                const lastFrame = aerender.getLastFrameNumber(token.renderDir, 0, Infinity, integrity.getStartFrame(token));
+                job.resumeFrom = lastFrame !== null ? lastFrame : undefined;
+            }
+
+            job.startedAt = new Date().toISOString();
+            this.active.set(job.tokenId, job);
+            this.saveJournal();
+
             // Update status to rendering
             tokenManager.updateStatus(job.tokenId, 'rendering');
 
@@ -76,6 +167,7 @@ class RenderQueue {
                 this.executeRender(job, token);
             } catch (err) {
                 logger.error(`Failed to start render for ${job.tokenId}:`, err.message);
+                this.finishJob(job.tokenId);
                 tokenManager.updateStatus(job.tokenId, 'pending', { error: err.message });
             }
 
@@ -91,26 +183,356 @@ class RenderQueue {
      */
     async executeRender(job, token) {
         try {
-            logger.info(`Starting render: ${job.tokenId}`);
+            if (!job.chunks) {
+                // Movie formats are a single file and always re-render completely
+                const incremental = token.dirtyRanges && token.dirtyRanges.length > 0 &&
+                    tokenManager.getFormat(token).sequence && tokenManager.renderExists(token.tokenId);
+                // A full render starts from an empty folder, so resuming it only finds frames it wrote itself
+                if (!incremental && !job.resume) {
+                    tokenManager.cleanRender(job.tokenId);
+                }
+                job.chunks = incremental
+                    ? this.planDirtyChunks(token)
+                    : this.planChunks(token);
+                this.saveJournal();
+            }
+
+            logger.info(`Starting render: ${job.tokenId}` +
+                (job.chunks ? ` (${job.chunks.length} chunks)` : '') +
+                (job.resumeFrom ? ` (resuming at frame ${job.resumeFrom})` : ''));
+            events.publish('job:started', {
+                tokenId: job.tokenId,
+                resumeFrom: job.resumeFrom || null,
+                chunks: job.chunks ? job.chunks.length : 1
+            });
+
+            const result = job.chunks
+                ? await this.renderChunks(job, token)
+                : await aerender.render(token, job.projectPath, {
+                    startFrame: job.resumeFrom,
+                    onProgress: (progress) => events.publish('job:progress', { tokenId: job.tokenId, ...progress })
+                });
 
-            const result = await aerender.render(token, job.projectPath);
+            this.finishJob(job.tokenId);
 
             if (result.success) {
+                // aerender can exit cleanly after a crash left gaps or half-written frames
+                const report = integrity.inspect(tokenManager.getToken(job.tokenId));
+                if (!report.valid) {
+                    tokenManager.markIncomplete(job.tokenId, report, { renderFirstFrame: result.renderPath });
+                    // A retry plans new chunks from the token's dirty ranges
+                    job.chunks = null;
+                    throw integrity.createError(report);
+                }
+                await cacheManager.recordRender(job.tokenId);
+
                 tokenManager.updateStatus(job.tokenId, 'ready', {
-                    renderPath: result.renderPath,
-                    renderDuration: result.duration
+                    renderFirstFrame: result.renderPath,
+                    renderDuration: result.duration,
+                    renderWarnings: result.warnings || [],
+                    failure: null,
+                    dirtyRanges: null,
+                    missingFrames: null,
+                    damagedFrames: null,
+                    projectPath: job.projectPath,
+                    lastAccess: new Date().toISOString(),
+                    attempts: this.recordAttempt(job),
+                    nextRetryAt: null
                 });
                 logger.info(`Render complete: ${job.tokenId}`);
+                events.publish('job:finished', {
+                    tokenId: job.tokenId,
+                    renderPath: result.renderPath,
+                    duration: result.duration,
+                    warnings: result.warnings || []
+                });
+
+                // Make room for the new render without evicting it
+                cacheManager.requestEvict([job.tokenId]);
             }
         } catch (err) {
+            // Cancelled renders are handled by cancel()
+            if (err.cancelled) return;
+
+            this.finishJob(job.tokenId);
+
             logger.error(`Render failed for ${job.tokenId}:`, err.message);
+            const attempts = this.recordAttempt(job, err);
+
+            if (this.shouldRetry(job, err)) {
+                this.scheduleRetry(job, err, attempts);
+                return;
+            }
+
             tokenManager.updateStatus(job.tokenId, 'dirty', {
                 error: err.message,
-                lastError: new Date().toISOString()
+                errorCategory: err.category || 'unknown',
+                failure: this.describeFailure(err),
+                lastError: new Date().toISOString(),
+                attempts: attempts,
+                nextRetryAt: null
+            });
+            events.publish('job:failed', {
+                tokenId: job.tokenId,
+                error: err.message,
+                category: err.category || 'unknown',
+                failure: this.describeFailure(err),
+                attempt: job.attempt || 1
             });
         }
     }
 
+    /**
+     * Append the outcome of a job's current attempt to the token's attempt history
+     * A job's first attempt starts a new history
+     */
+    recordAttempt(job, err) {
+        const token = tokenManager.getToken(job.tokenId);
+        const attempt = job.attempt || 1;
+        const attempts = attempt > 1 && token && token.attempts ? token.attempts.slice() : [];
+
+        attempts.push({
+            attempt: attempt,
+            startedAt: job.startedAt,
+            finishedAt: new Date().toISOString(),
+            success: !err,
+            error: err ? err.message : null,
+            category: err ? (err.category || 'unknown') : null,
+            code: err ? (err.code || null) : null
+        });
+
+        return attempts;
+    }
+
+    /**
+     * Structured description of a render failure for the token and the panel
+     * Errors that did not come from aerender are described as 'unknown'
+     */
+    describeFailure(err) {
+        if (typeof err.toJSON === 'function') return err.toJSON();
+
+        return {
+            message: err.message,
+            code: null,
+            category: err.category || 'unknown',
+            frame: null,
+            details: []
+        };
+    }
+
+    /**
+     * Check the retry policy for a failed job
+     */
+    shouldRetry(job, err) {
+        const policy = config.retry;
+        const attempt = job.attempt || 1;
+
+        return attempt < policy.maxAttempts && policy.retryable.includes(err.category || 'unknown');
+    }
+
+    /**
+     * Put a failed job back in the queue once its backoff delay has passed
+     */
+    scheduleRetry(job, err, attempts) {
+        const policy = config.retry;
+        const attempt = job.attempt || 1;
+        const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(policy.factor, attempt - 1));
+        const notBefore = new Date(Date.now() + delay).toISOString();
+
+        this.insertJob({
+            tokenId: job.tokenId,
+            projectPath: job.projectPath,
+            priority: job.priority,
+            addedAt: job.addedAt,
+            chunks: job.chunks,
+            attempt: attempt + 1,
+            notBefore: notBefore,
+            resume: true
+        });
+        this.saveJournal();
+
+        logger.warn(`Retrying ${job.tokenId} in ${Math.round(delay / 1000)}s (attempt ${attempt + 1} of ${policy.maxAttempts})`);
+
+        tokenManager.updateStatus(job.tokenId, 'pending', {
+            error: err.message,
+            errorCategory: err.category || 'unknown',
+            failure: this.describeFailure(err),
+            lastError: new Date().toISOString(),
+            attempts: attempts,
+            nextRetryAt: notBefore
+        });
+        events.publish('job:retry', {
+            tokenId: job.tokenId,
+            attempt: attempt + 1,
+            maxAttempts: policy.maxAttempts,
+            delay: delay,
+            error: err.message,
+            category: err.category || 'unknown'
+        });
+
+        this.processQueue();
+    }
+
+    /**
+     * Split a token into frame chunks rendered by separate aerender processes
+     * Returns null when the token should be rendered by a single process
+     */
+    planChunks(token) {
+        const frameCount = token.frameCount || Math.ceil((token.duration || 0) * (token.frameRate || 0));
+        if (!config.chunkMinFrames || config.concurrency < 2) return null;
+        // Chunks of a movie would overwrite each other
+        if (!tokenManager.getFormat(token).sequence) return null;
+
+        const count = Math.min(config.concurrency, Math.floor(frameCount / config.chunkMinFrames));
+        if (count < 2) return null;
+
+        const size = Math.ceil(frameCount / count);
+        const chunks = [];
+        for (let start = 0; start < frameCount; start += size) {
+            chunks.push({
+                index: chunks.length,
+                start: start,
+                end: Math.min(frameCount, start + size) - 1,
+                done: false
+            });
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Turn a token's dirty frame ranges into chunks so only those frames are re-rendered
+     * The stale frames are deleted first so the render is verified against fresh output
+     */
+    planDirtyChunks(token) {
+        return token.dirtyRanges.map((range, index) => {
+            const deleted = aerender.deleteFrames(token.renderDir, range.start, range.end, integrity.getStartFrame(token));
+            logger.info(`Re-rendering frames ${range.start}-${range.end} of ${token.tokenId} (${deleted} stale frames removed)`);
+
+            return {
+                index: index,
+                start: range.start,
+                end: range.end,
+                done: false
+            };
+        });
+    }
+
+    /**
+     * Render every unfinished chunk of a job, as many at once as free render slots allow
+     * Resolves once all chunks have produced their frames
+     */
+    async renderChunks(job, token) {
+        const startTime = Date.now();
+        const running = [];
+        const warnings = [];
+        let failure = null;
+
+        for (const chunk of job.chunks.filter(c => !c.done)) {
+            // Chunks share config.concurrency with every other job
+            while (aerender.getActiveCount() >= config.concurrency && !failure && !job.cancelled) {
+                await this.sleep(500);
+            }
+            if (failure || job.cancelled) break;
+
+            running.push(this.renderChunk(job, token, chunk).then(result => {
+                for (const warning of result.warnings || []) {
+                    if (!warnings.some(w => w.type === warning.type && w.message === warning.message)) {
+                        warnings.push(warning);
+                    }
+                }
+            }).catch(err => {
+                if (failure) return;
+                failure = err;
+                // One failed chunk fails the token; stop the others
+                if (!err.cancelled) aerender.cancel(job.tokenId);
+            }));
+
+            await this.sleep(100);
+        }
+
+        await Promise.all(running);
+
+        if (job.cancelled) {
+            const err = new Error('Render cancelled');
+            err.cancelled = true;
+            throw err;
+        }
+        if (failure) throw failure;
+
+        const unfinished = job.chunks.filter(c => !c.done);
+        if (unfinished.length > 0) {
+            throw aerender.createError(`Chunks did not complete: ${unfinished.map(c => c.index).join(', ')}`, 'missing-output');
+        }
+
+        return {
+            success: true,
+            renderPath: aerender.findFirstFrame(token.renderDir, token.format),
+            duration: parseFloat(((Date.now() - startTime) / 1000).toFixed(1)),
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Render one chunk and check that every frame of its range is on disk
+     * Resolves with the aerender result of the chunk
+     */
+    async renderChunk(job, token, chunk) {
+        let startFrame = chunk.start;
+        if (job.resume && config.resumeRenders) {
+            const lastFrame = aerender.getLastFrameNumber(token.renderDir, chunk.start, chunk.end, integrity.getStartFrame(token));
+            if (lastFrame !== null) startFrame = lastFrame;
+        }
+
+        events.publish('job:chunk', { tokenId: job.tokenId, index: chunk.index, start: chunk.start, end: chunk.end, status: 'started' });
+
+        const result = await aerender.render(token, job.projectPath, {
+            chunk: chunk.index,
+            startFrame: startFrame,
+            endFrame: chunk.end,
+            onProgress: (progress) => {
+                chunk.rendered = (startFrame - chunk.start) + progress.frame;
+                this.publishChunkProgress(job, progress.eta);
+            }
+        });
+
+        const frames = aerender.listFrameNumbers(token.renderDir, integrity.getStartFrame(token));
+        const missing = [];
+        for (let frame = chunk.start; frame <= chunk.end; frame++) {
+            if (!frames.has(frame)) missing.push(frame);
+        }
+        if (missing.length > 0) {
+            throw aerender.createError(`Chunk ${chunk.index} (frames ${chunk.start}-${chunk.end}) is missing ${missing.length} frames`, 'missing-output');
+        }
+
+        chunk.done = true;
+        this.saveJournal();
+        events.publish('job:chunk', { tokenId: job.tokenId, index: chunk.index, start: chunk.start, end: chunk.end, status: 'done' });
+        return result;
+    }
+
+    /**
+     * Publish overall progress of a chunked job
+     */
+    publishChunkProgress(job, eta) {
+        let totalFrames = 0;
+        let frame = 0;
+
+        for (const chunk of job.chunks) {
+            const size = chunk.end - chunk.start + 1;
+            totalFrames += size;
+            frame += chunk.done ? size : Math.min(size, chunk.rendered || 0);
+        }
+
+        events.publish('job:progress', {
+            tokenId: job.tokenId,
+            frame: frame,
+            totalFrames: totalFrames,
+            percent: Math.round((frame / totalFrames) * 1000) / 10,
+            eta: eta
+        });
+    }
+
     /**
      * Get queue status
      */
@@ -119,9 +541,23 @@ class RenderQueue {
             queueLength: this.queue.length,
             activeRenders: aerender.getActiveCount(),
             maxConcurrency: config.concurrency,
+            active: Array.from(this.active.values()).map(job => ({
+                tokenId: job.tokenId,
+                priority: job.priority,
+                startedAt: job.startedAt,
+                chunks: job.chunks ? job.chunks.map(chunk => ({
+                    index: chunk.index,
+                    start: chunk.start,
+                    end: chunk.end,
+                    done: chunk.done
+                })) : null
+            })),
             queue: this.queue.map(job => ({
                 tokenId: job.tokenId,
-                addedAt: job.addedAt
+                priority: job.priority,
+                addedAt: job.addedAt,
+                attempt: job.attempt || 1,
+                notBefore: job.notBefore || null
             }))
         };
     }
@@ -134,29 +570,211 @@ class RenderQueue {
         const queueIndex = this.queue.findIndex(job => job.tokenId === tokenId);
         if (queueIndex !== -1) {
             this.queue.splice(queueIndex, 1);
+            this.saveJournal();
             logger.info(`Removed ${tokenId} from queue`);
+            events.publish('job:cancelled', { tokenId, wasActive: false });
             return true;
         }
 
-        // Cancel active render
-        if (aerender.cancel(tokenId)) {
+        // Cancel active render (a chunked job may be waiting for a slot with no process running)
+        const activeJob = this.active.get(tokenId);
+        if (activeJob) activeJob.cancelled = true;
+
+        if (aerender.cancel(tokenId) || activeJob) {
+            this.finishJob(tokenId);
             tokenManager.updateStatus(tokenId, 'pending', { cancelled: true });
+            events.publish('job:cancelled', { tokenId, wasActive: true });
             return true;
         }
 
         return false;
     }
 
+    /**
+     * Reorder queued jobs
+     * Listed tokens move to the front in the given order; the rest keep their relative order
+     */
+    reorder(order) {
+        const listed = [];
+        for (const tokenId of order) {
+            const job = this.queue.find(queued => queued.tokenId === tokenId);
+            if (job && !listed.includes(job)) listed.push(job);
+        }
+
+        this.queue = listed.concat(this.queue.filter(job => !listed.includes(job)));
+        this.saveJournal();
+
+        logger.info('Render queue reordered', this.queue.map(job => job.tokenId));
+        events.publish('queue:reordered', { order: this.queue.map(job => job.tokenId) });
+        return this.queue.map(job => job.tokenId);
+    }
+
+    /**
+     * Raise a queued job's priority and move it ahead of lower-priority jobs
+     * Returns the job, or null if the token is not queued
+     */
+    prioritize(tokenId, priority = 'high', preempt = config.preempt) {
+        const index = this.queue.findIndex(job => job.tokenId === tokenId);
+        if (index === -1) return null;
+
+        const [job] = this.queue.splice(index, 1);
+        job.priority = Math.max(job.priority, this.normalizePriority(priority));
+
+        // Go to the front of its priority band rather than the back
+        let position = 0;
+        while (position < this.queue.length && this.queue[position].priority > job.priority) {
+            position++;
+        }
+        this.queue.splice(position, 0, job);
+        this.saveJournal();
+
+        logger.info(`Prioritized ${tokenId} (position: ${position + 1}, priority: ${job.priority})`);
+        events.publish('job:prioritized', { tokenId, position: position + 1, priority: job.priority });
+
+        if (preempt) {
+            this.preemptFor(job);
+        }
+
+        return job;
+    }
+
+    /**
+     * Cancel and requeue the lowest-priority active render if a higher-priority
+     * job is waiting and no render slot is free
+     */
+    preemptFor(job) {
+        if (aerender.getActiveCount() < config.concurrency) return false;
+
+        let victim = null;
+        for (const active of this.active.values()) {
+            if (active.priority < job.priority && (!victim || active.priority < victim.priority)) {
+                victim = active;
+            }
+        }
+        if (!victim) return false;
+
+        logger.info(`Preempting ${victim.tokenId} (priority ${victim.priority}) for ${job.tokenId} (priority ${job.priority})`);
+
+        if (!aerender.cancel(victim.tokenId)) return false;
+
+        victim.cancelled = true;
+        this.active.delete(victim.tokenId);
+        this.insertJob({
+            tokenId: victim.tokenId,
+            projectPath: victim.projectPath,
+            priority: victim.priority,
+            addedAt: victim.addedAt,
+            chunks: victim.chunks,
+            resume: true
+        });
+        this.saveJournal();
+
+        tokenManager.updateStatus(victim.tokenId, 'pending', { preempted: true });
+        events.publish('job:preempted', { tokenId: victim.tokenId, by: job.tokenId });
+
+        this.processQueue();
+        return true;
+    }
+
     /**
      * Clear the queue
      */
     clear() {
         const count = this.queue.length;
         this.queue = [];
+        this.saveJournal();
         logger.info(`Cleared ${count} jobs from queue`);
         return count;
     }
 
+    /**
+     * Drop a job from the active set once its render has ended
+     */
+    finishJob(tokenId) {
+        if (this.active.delete(tokenId)) {
+            this.saveJournal();
+        }
+    }
+
+    /**
+     * Write queued and in-flight jobs to the journal
+     */
+    saveJournal() {
+        if (!this.journalFile) return;
+
+        const data = {
+            updatedAt: new Date().toISOString(),
+            active: Array.from(this.active.values()),
+            queue: this.queue
+        };
+
+        try {
+            safeFile.writeFileAtomic(this.journalFile, JSON.stringify(data, null, 2), JOURNAL_BACKUPS);
+        } catch (err) {
+            logger.error('Failed to save queue journal:', err.message);
+        }
+    }
+
+    /**
+     * Replay the journal from a previous run
+     * Jobs that were rendering when the worker stopped go back to the front of the queue
+     * A corrupt journal is replaced by its backup
+     */
+    loadJournal() {
+        let data;
+
+        try {
+            const loaded = safeFile.readJSON(this.journalFile, JOURNAL_BACKUPS);
+            if (!loaded.data) return;
+            data = loaded.data;
+            if (loaded.recoveredFrom) {
+                logger.warn(`Queue journal was corrupt (kept as queue.json.corrupt), restored from ${path.basename(loaded.recoveredFrom)}`);
+            }
+        } catch (err) {
+            logger.error('Failed to load queue journal, queue.json and its backup are unreadable (kept as queue.json.corrupt):', err.message);
+            return;
+        }
+
+        // The last frame found is re-rendered when resuming, it may have been cut off mid-write
+        const interrupted = (data.active || []).map(job => ({
+            tokenId: job.tokenId,
+            projectPath: job.projectPath,
+            priority: job.priority || PRIORITIES.normal,
+            addedAt: job.addedAt,
+            chunks: job.chunks,
+            resume: true
+        }));
+
+        const queued = (data.queue || []).map(job => ({ ...job, priority: job.priority || PRIORITIES.normal }));
+
+        const jobs = interrupted.concat(queued)
+            .filter(job => {
+                // Journaled as active by this process, and still rendering
+                if (this.active.has(job.tokenId)) return false;
+                if (!tokenManager.getToken(job.tokenId)) {
+                    logger.warn(`Dropping journaled job for missing token: ${job.tokenId}`);
+                    return false;
+                }
+                return true;
+            });
+
+        if (jobs.length === 0) {
+            this.saveJournal();
+            return;
+        }
+
+        this.queue = jobs;
+        this.saveJournal();
+
+        logger.info(`Replayed ${jobs.length} jobs from queue journal (${interrupted.length} interrupted)`);
+
+        for (const job of jobs) {
+            events.publish('job:queued', { tokenId: job.tokenId, position: this.queue.indexOf(job) + 1, replayed: true });
+        }
+
+        this.processQueue();
+    }
+
     /**
      * Sleep utility
      */
@@ -0,0 +1,131 @@
+/**
+ * Pulse Render Settings
+ * Per-token overrides of the aerender render settings
+ */
+
+// Used for every setting a token doesn't override
+const DEFAULTS = {
+    renderSettingsTemplate: 'Best Settings',
+    outputModuleTemplate: null,     // Template of the token's output format
+    resolution: null,               // Resolution of the render settings template
+    fieldRender: null,
+    motionBlur: null,
+    memory: { imageCache: 50, maxMemory: 70 },
+    audio: false
+};
+
+const RESOLUTIONS = { full: 1, half: 2, third: 3, quarter: 4 };
+const FIELD_RENDER = ['off', 'upper', 'lower'];
+
+class RenderSettings {
+    /**
+     * Validate and clean up overrides
+     * Unknown keys are dropped and null removes an override
+     * Throws if a value is invalid
+     */
+    normalize(input) {
+        const settings = {};
+        if (!input) return settings;
+
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('renderSettings must be an object');
+        }
+
+        for (const key of ['renderSettingsTemplate', 'outputModuleTemplate']) {
+            if (input[key] === undefined || input[key] === null) continue;
+            if (typeof input[key] !== 'string' || !input[key].trim()) {
+                throw new Error(`${key} must be a template name`);
+            }
+            settings[key] = input[key].trim();
+        }
+
+        if (input.resolution !== undefined && input.resolution !== null) {
+            const factor = typeof input.resolution === 'string'
+                ? RESOLUTIONS[input.resolution.toLowerCase()]
+                : input.resolution;
+            if (![1, 2, 3, 4].includes(factor)) {
+                throw new Error('resolution must be full, half, third, quarter or 1-4');
+            }
+            settings.resolution = factor;
+        }
+
+        if (input.fieldRender !== undefined && input.fieldRender !== null) {
+            const field = String(input.fieldRender).toLowerCase();
+            if (!FIELD_RENDER.includes(field)) {
+                throw new Error(`fieldRender must be one of: ${FIELD_RENDER.join(', ')}`);
+            }
+            settings.fieldRender = field;
+        }
+
+        for (const key of ['motionBlur', 'audio']) {
+            if (input[key] === undefined || input[key] === null) continue;
+            if (typeof input[key] !== 'boolean') {
+                throw new Error(`${key} must be true or false`);
+            }
+            settings[key] = input[key];
+        }
+
+        if (input.memory !== undefined && input.memory !== null) {
+            const imageCache = parseInt(input.memory.imageCache, 10);
+            const maxMemory = parseInt(input.memory.maxMemory, 10);
+            if (!(imageCache >= 1 && imageCache <= 100) || !(maxMemory >= 1 && maxMemory <= 100)) {
+                throw new Error('memory must be { imageCache, maxMemory } percentages between 1 and 100');
+            }
+            settings.memory = { imageCache, maxMemory };
+        }
+
+        // aerender can't set these on the command line, so they live in a derived template
+        if (this.needsTemplate(settings)) {
+            settings.templateName = this.getTemplateName(settings);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Apply changes to existing overrides (null removes an override)
+     */
+    merge(current, changes) {
+        const merged = Object.assign({}, current || {}, changes || {});
+        delete merged.templateName;
+        return this.normalize(merged);
+    }
+
+    /**
+     * Overrides combined with the defaults
+     */
+    resolve(settings) {
+        return Object.assign({}, DEFAULTS, settings || {});
+    }
+
+    /**
+     * Check if the overrides include settings only a render settings template can hold
+     */
+    needsTemplate(settings) {
+        return settings.resolution !== undefined ||
+            settings.fieldRender !== undefined ||
+            settings.motionBlur !== undefined;
+    }
+
+    /**
+     * Name of the render settings template the panel creates for template-only overrides
+     * e.g. "Pulse Best Settings half mb-off"
+     */
+    getTemplateName(settings) {
+        const parts = [`Pulse ${settings.renderSettingsTemplate || DEFAULTS.renderSettingsTemplate}`];
+
+        if (settings.resolution !== undefined) {
+            parts.push(Object.keys(RESOLUTIONS).find(name => RESOLUTIONS[name] === settings.resolution));
+        }
+        if (settings.fieldRender !== undefined) {
+            parts.push(`fields-${settings.fieldRender}`);
+        }
+        if (settings.motionBlur !== undefined) {
+            parts.push(settings.motionBlur ? 'mb-on' : 'mb-off');
+        }
+
+        return parts.join(' ');
+    }
+}
+
+module.exports = new RenderSettings();
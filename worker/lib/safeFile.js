@@ -0,0 +1,131 @@
+/**
+ * Pulse Safe File
+ * Crash-safe JSON files with rolling backups.
+ *
+ * Loaded by both the CEP panel (through cep_node.require) and the worker,
+ * so it must only depend on Node built-ins.
+ *
+ * A write goes to a temp file that is flushed and then renamed over the
+ * target, so a crash leaves either the old or the new version, never half of
+ * one. Before that, the current version is copied to <file>.1 (shifting older
+ * copies to .2, .3, ...) if it is still valid JSON. Reading falls back to the
+ * newest valid backup when the file itself is corrupt.
+ */
+
+const fs = require('fs');
+
+// Backups kept next to each file
+const BACKUP_COUNT = 3;
+
+/**
+ * Path of a file's nth backup (1 is the newest)
+ */
+function getBackupPath(filePath, index) {
+    return `${filePath}.${index}`;
+}
+
+/**
+ * Parse a JSON file, returning undefined if it is missing or invalid
+ */
+function tryReadJSON(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * Keep a copy of the current version of a file, dropping the oldest backup
+ * A corrupt current version is not worth keeping and leaves the backups as they are
+ */
+function rotateBackups(filePath, backups) {
+    if (tryReadJSON(filePath) === undefined) return;
+
+    for (let index = backups - 1; index >= 1; index--) {
+        const from = getBackupPath(filePath, index);
+        if (fs.existsSync(from)) {
+            fs.renameSync(from, getBackupPath(filePath, index + 1));
+        }
+    }
+
+    fs.copyFileSync(filePath, getBackupPath(filePath, 1));
+}
+
+/**
+ * Write a file atomically, keeping the previous versions as backups
+ *
+ * @param {string} filePath
+ * @param {string} data
+ * @param {number} [backups] - Previous versions to keep (0 for none)
+ */
+function writeFileAtomic(filePath, data, backups = BACKUP_COUNT) {
+    // The panel and the worker write the same files; their temp files must not collide
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        if (backups > 0 && fs.existsSync(filePath)) {
+            rotateBackups(filePath, backups);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (err) {
+        try {
+            fs.unlinkSync(tempPath);
+        } catch (e) {
+            // Already gone
+        }
+        throw err;
+    }
+}
+
+/**
+ * Read a JSON file, recovering from the newest valid backup if it is corrupt
+ * A recovered version is written back so the next read finds it directly
+ * Returns { data, recoveredFrom } with data null if the file doesn't exist;
+ * throws if neither the file nor any backup can be parsed
+ * A corrupt file is copied to <file>.corrupt either way
+ *
+ * @param {string} filePath
+ * @param {number} [backups] - Backups to try
+ */
+function readJSON(filePath, backups = BACKUP_COUNT) {
+    if (!fs.existsSync(filePath)) {
+        return { data: null, recoveredFrom: null };
+    }
+
+    let error;
+    try {
+        return { data: JSON.parse(fs.readFileSync(filePath, 'utf8')), recoveredFrom: null };
+    } catch (err) {
+        error = err;
+    }
+
+    // Keep the corrupt file around for inspection; it is never rotated into the backups
+    fs.copyFileSync(filePath, `${filePath}.corrupt`);
+
+    for (let index = 1; index <= backups; index++) {
+        const backupPath = getBackupPath(filePath, index);
+        const data = tryReadJSON(backupPath);
+        if (data === undefined) continue;
+
+        writeFileAtomic(filePath, JSON.stringify(data, null, 2), 0);
+        return { data, recoveredFrom: backupPath };
+    }
+
+    throw error;
+}
+
+module.exports = {
+    BACKUP_COUNT,
+    getBackupPath,
+    writeFileAtomic,
+    readJSON
+};
@@ -3,10 +3,22 @@
  * Manages render tokens, hashing, and state
  */
 
-const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const events = require('./events');
+const formats = require('./formats');
+const renderSettings = require('./renderSettings');
+const integrity = require('./integrity');
+const config = require('../config');
+// Shared with the CEP panel so both read and write the same tokens.json schema
+const tokenStore = require('./tokenStore');
+
+// Resolution factor of each quality variant; 'full' is the token itself
+const VARIANTS = { full: 1, half: 2, quarter: 4 };
+
+// Token properties a variant shares; everything else (status, renderDir, ...) is its own
+const VARIANT_SHARED_FIELDS = ['hash', 'compName', 'precompName', 'layerIndex', 'frameRate', 'duration', 'frameCount', 'startFrame', 'format'];
 
 class TokenManager {
     constructor() {
@@ -19,7 +31,7 @@ class TokenManager {
      */
     init(cacheDir) {
         this.cacheDir = cacheDir;
-        this.rendersDir = path.join(cacheDir, 'Pulse_Renders');
+        this.rendersDir = path.join(cacheDir, tokenStore.RENDERS_DIR);
 
         // Ensure renders directory exists
         if (!fs.existsSync(this.rendersDir)) {
@@ -31,60 +43,196 @@ class TokenManager {
     }
 
     /**
-     * Generate hash from comp summary
+     * Generate hash from comp summary, the precomp description sent by the panel
      */
     generateHash(summary) {
-        const data = JSON.stringify(summary);
-        return crypto.createHash('sha256').update(data).digest('hex').substring(0, 16);
+        return tokenStore.getContentHash(summary);
     }
 
     /**
      * Create a new token
+     * projectPath/projectId/projectName - the project the token belongs to; tokens of
+     * different projects never share an id or a render folder
      */
     createToken(tokenData) {
         const hash = this.generateHash(tokenData.summary);
-        const tokenId = `${tokenData.precompName.replace(/[^a-zA-Z0-9]/g, '_')}_${hash}`;
+        const settings = renderSettings.normalize(tokenData.renderSettings);
+        const project = this.getProject(tokenData);
+
+        // Tokens of the same precomp with different render settings are cached side by side
+        const tokenId = tokenStore.getTokenId(tokenData.precompName, hash, settings, project.projectKey);
 
         // Check if token already exists
         if (this.tokens.has(tokenId)) {
             const existing = this.tokens.get(tokenId);
             logger.info(`Token already exists: ${tokenId}`, { status: existing.status });
+            for (const variant of tokenData.variants || []) {
+                this.addVariant(tokenId, variant);
+            }
             return existing;
         }
 
         const token = {
             tokenId: tokenId,
             hash: hash,
+            fingerprint: tokenStore.getFingerprint(tokenData.summary),
             compName: tokenData.compName,
             precompName: tokenData.precompName,
+            precompId: tokenData.precompId,
             layerIndex: tokenData.layerIndex,
             frameRate: tokenData.frameRate,
             duration: tokenData.duration,
             width: tokenData.width,
             height: tokenData.height,
+            frameCount: Math.ceil((tokenData.duration || 0) * (tokenData.frameRate || 0)),
+            startFrame: Number.isInteger(tokenData.startFrame) ? tokenData.startFrame : null,
             status: 'pending', // pending, rendering, ready, dirty, swapped
-            renderPath: null,
+            format: (tokenData.format || config.format).toLowerCase(),
+            renderSettings: settings,
+            projectPath: project.projectPath,
+            projectId: project.projectId,
+            projectKey: project.projectKey,
+            projectFolder: project.projectFolder,
+            renderDir: tokenStore.getRenderDir(this.cacheDir, tokenId, project.projectFolder),
+            renderFirstFrame: null, // Set once a render completes
+            lastAccess: null, // Set when a render completes or is swapped in, for cache eviction
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
 
-        // Calculate render output path
-        token.renderDir = path.join(this.rendersDir, tokenId);
-        token.renderPath = path.join(token.renderDir, 'frames_[#####].png');
-        token.renderFirstFrame = path.join(token.renderDir, 'frames_00001.png');
-
         this.tokens.set(tokenId, token);
+        for (const variant of tokenData.variants || []) {
+            this.addVariant(tokenId, variant);
+        }
         this.saveTokens();
 
         logger.info(`Token created: ${tokenId}`);
         return token;
     }
 
+    /**
+     * Add a quality variant to a token, rendered at a lower resolution into its own folder
+     * Returns the variant, or null if the token doesn't exist; throws for unknown variants
+     */
+    addVariant(tokenId, variant) {
+        const token = this.tokens.get(tokenId);
+        if (!token) return null;
+        if (variant === 'full') return token;
+
+        const factor = VARIANTS[variant];
+        if (!factor) {
+            throw new Error(`Unknown variant: ${variant}. Use one of: ${Object.keys(VARIANTS).join(', ')}`);
+        }
+
+        const variantId = tokenStore.getVariantId(tokenId, variant);
+        token.variants = token.variants || {};
+
+        if (!token.variants[variant]) {
+            token.variants[variant] = {
+                status: 'pending',
+                width: token.width ? Math.ceil(token.width / factor) : token.width,
+                height: token.height ? Math.ceil(token.height / factor) : token.height,
+                renderSettings: renderSettings.merge(token.renderSettings, { resolution: factor }),
+                renderDir: tokenStore.getRenderDir(this.cacheDir, variantId, token.projectFolder),
+                renderFirstFrame: null,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            this.saveTokens();
+            logger.info(`Variant created: ${variantId}`);
+        }
+
+        return this.getToken(variantId);
+    }
+
+    /**
+     * Project fields of a new token: { projectPath, projectId, projectKey, projectFolder }
+     * All null for an unsaved project without an id
+     */
+    getProject(tokenData) {
+        const projectPath = tokenData.projectPath || null;
+        const projectId = tokenData.projectId || null;
+        const projectKey = tokenStore.getProjectKey(projectId, projectPath);
+        const projectName = tokenData.projectName || (projectPath ? path.basename(projectPath, path.extname(projectPath)) : null);
+
+        return {
+            projectPath: projectPath,
+            projectId: projectId,
+            projectKey: projectKey,
+            projectFolder: tokenStore.getProjectFolder(projectName, projectKey)
+        };
+    }
+
+    /**
+     * Check if a token belongs to a project
+     * project - project id, project key, full .aep path or .aep file name
+     * A token's variants count too, since a render records the project it was rendered from
+     */
+    matchesProject(token, project) {
+        if (token.projectId === project || token.projectKey === project) return true;
+
+        const paths = [token.projectPath].concat(Object.values(token.variants || {}).map(entry => entry.projectPath))
+            .filter(Boolean);
+
+        return paths.some(projectPath =>
+            path.resolve(projectPath) === path.resolve(project) || path.basename(projectPath) === project);
+    }
+
+    /**
+     * Names of the quality variants a token can have
+     */
+    getVariantNames() {
+        return Object.keys(VARIANTS);
+    }
+
+    /**
+     * Add a token exported from another cache (see lib/cacheArchive.js)
+     */
+    importToken(token) {
+        // Counts as a change, so a token deleted here before is imported again
+        token.updatedAt = new Date().toISOString();
+        this.tokens.set(token.tokenId, token);
+        this.saveTokens();
+
+        logger.info(`Token imported: ${token.tokenId}`);
+        return token;
+    }
+
     /**
      * Get token by ID
+     * A variant id ("<tokenId>@<variant>") returns the token with the variant's
+     * render state on top, so it can be queued and rendered like a token
      */
     getToken(tokenId) {
-        return this.tokens.get(tokenId);
+        const { tokenId: baseId, variant } = tokenStore.parseVariantId(tokenId);
+        const token = this.tokens.get(baseId);
+        if (!token || variant === 'full') return token;
+
+        const entry = token.variants && token.variants[variant];
+        if (!entry) return undefined;
+
+        const view = {};
+        for (const field of VARIANT_SHARED_FIELDS) {
+            view[field] = token[field];
+        }
+
+        return Object.assign(view, entry, {
+            tokenId: tokenId,
+            baseTokenId: baseId,
+            variant: variant,
+            resolutionFactor: VARIANTS[variant]
+        });
+    }
+
+    /**
+     * Get the stored object holding a token's or a variant's render state
+     */
+    getEntry(tokenId) {
+        const { tokenId: baseId, variant } = tokenStore.parseVariantId(tokenId);
+        const token = this.tokens.get(baseId);
+        if (!token || variant === 'full') return token;
+
+        return token.variants ? token.variants[variant] : undefined;
     }
 
     /**
@@ -98,37 +246,183 @@ class TokenManager {
      * Update token status
      */
     updateStatus(tokenId, status, extra = {}) {
-        const token = this.tokens.get(tokenId);
+        const token = this.getEntry(tokenId);
         if (!token) {
             logger.warn(`Token not found: ${tokenId}`);
             return null;
         }
 
+        const previousStatus = token.status;
         token.status = status;
         token.updatedAt = new Date().toISOString();
 
         // Merge extra properties
         Object.assign(token, extra);
 
-        this.tokens.set(tokenId, token);
         this.saveTokens();
 
         logger.info(`Token ${tokenId} status updated: ${status}`);
-        return token;
+        events.publish('token:status', { tokenId, status, previousStatus });
+        return this.getToken(tokenId);
     }
 
     /**
      * Mark token as dirty (needs re-render)
+     * With ranges, only those frames are invalidated and the rest of the render is kept
+     * ranges: [{ start, end }] in frames or [{ startTime, endTime }] in seconds
      */
-    markDirty(tokenId) {
-        return this.updateStatus(tokenId, 'dirty');
+    markDirty(tokenId, ranges) {
+        const token = this.getToken(tokenId);
+        if (!token) {
+            logger.warn(`Token not found: ${tokenId}`);
+            return null;
+        }
+
+        // The precomp changed, so every variant of the token is stale too
+        if (!token.variant) {
+            for (const variant of Object.keys(token.variants || {})) {
+                this.markDirty(tokenStore.getVariantId(tokenId, variant), ranges);
+            }
+        }
+
+        const fullyDirty = token.status === 'dirty' && !token.dirtyRanges;
+
+        // Partial invalidation needs an existing render to patch
+        if (!ranges || ranges.length === 0 || fullyDirty || !this.renderExists(tokenId)) {
+            return this.updateStatus(tokenId, 'dirty', { dirtyRanges: null });
+        }
+
+        const dirtyRanges = this.normalizeRanges((token.dirtyRanges || []).concat(this.toFrameRanges(token, ranges)), token);
+        logger.info(`Token ${tokenId} dirty frames: ${dirtyRanges.map(r => `${r.start}-${r.end}`).join(', ')}`);
+
+        return this.updateStatus(tokenId, 'dirty', { dirtyRanges });
+    }
+
+    /**
+     * Move a token whose precomp changed on to a token for the precomp's new description
+     * The new token has its own id, hash and render folder, like any token created from that
+     * description, so an id always says what is on disk. The old token is deleted with its
+     * renders, unless one of them is swapped in and has to be restored first.
+     * Returns { token, retired } with retired the deleted token's id (null if it was kept),
+     * or null if the token doesn't exist
+     */
+    replaceContent(tokenId, summary) {
+        const previous = this.tokens.get(tokenStore.parseVariantId(tokenId).tokenId);
+        if (!previous) return null;
+
+        const token = this.createToken({
+            summary: summary,
+            compName: previous.compName,
+            precompName: previous.precompName,
+            precompId: previous.precompId,
+            layerIndex: previous.layerIndex,
+            frameRate: previous.frameRate,
+            duration: previous.duration,
+            startFrame: previous.startFrame,
+            width: previous.width,
+            height: previous.height,
+            format: previous.format,
+            renderSettings: previous.renderSettings,
+            projectPath: previous.projectPath,
+            projectId: previous.projectId,
+            // Same project folder as before
+            projectName: previous.projectFolder ? previous.projectFolder.slice(0, -(previous.projectKey.length + 1)) : null,
+            variants: Object.keys(previous.variants || {})
+        });
+        if (token.tokenId === previous.tokenId) return { token, retired: null };
+
+        const renders = [previous].concat(Object.values(previous.variants || {}));
+        if (renders.some(entry => tokenStore.isSwappedIn(entry))) {
+            logger.info(`Token ${previous.tokenId} replaced by ${token.tokenId}, kept until it is restored`);
+            return { token, retired: null };
+        }
+
+        this.deleteToken(previous.tokenId, true);
+        logger.info(`Token ${previous.tokenId} replaced by ${token.tokenId}`);
+        return { token, retired: previous.tokenId };
+    }
+
+    /**
+     * Mark a token whose render has missing or damaged frames (see lib/integrity.js) as dirty
+     * Only the bad frames are re-rendered when the rest of the render can be kept
+     * Unlike markDirty, the token's variants are left alone: their renders are checked separately
+     * extra - more properties to store, e.g. the renderFirstFrame of a render that just finished
+     */
+    markIncomplete(tokenId, report, extra = {}) {
+        const token = this.getToken(tokenId);
+        if (!token) return null;
+
+        const problems = Object.assign({
+            missingFrames: report.missingFrames,
+            damagedFrames: report.damagedFrames
+        }, extra);
+
+        const firstFrame = problems.renderFirstFrame || token.renderFirstFrame;
+        const fullyDirty = token.status === 'dirty' && !token.dirtyRanges;
+        if (!report.ranges || report.ranges.length === 0 || fullyDirty || !firstFrame || !fs.existsSync(firstFrame)) {
+            return this.updateStatus(tokenId, 'dirty', Object.assign({ dirtyRanges: null }, problems));
+        }
+
+        // A finished render's own dirty ranges were just re-rendered, so only a dirty token keeps them
+        const previous = token.status === 'dirty' ? token.dirtyRanges : [];
+        const dirtyRanges = this.normalizeRanges(previous.concat(report.ranges), token);
+        logger.warn(`Token ${tokenId} has ${report.missingFrames.length} missing and ${report.damagedFrames.length} damaged frames`);
+
+        return this.updateStatus(tokenId, 'dirty', Object.assign({ dirtyRanges }, problems));
+    }
+
+    /**
+     * Convert ranges given in frames or seconds to frame ranges
+     */
+    toFrameRanges(token, ranges) {
+        return ranges.map(range => {
+            if (range.startTime !== undefined || range.endTime !== undefined) {
+                if (!token.frameRate) {
+                    throw new Error('Token has no frame rate; give ranges in frames');
+                }
+                return {
+                    start: Math.floor(Number(range.startTime || 0) * token.frameRate),
+                    // endTime is exclusive, like a work area end
+                    end: Math.ceil(Number(range.endTime) * token.frameRate) - 1
+                };
+            }
+            return { start: Number(range.start), end: Number(range.end) };
+        });
+    }
+
+    /**
+     * Clamp frame ranges to the token's length, sort them and merge overlaps
+     */
+    normalizeRanges(ranges, token) {
+        const lastFrame = (token.frameCount || Math.ceil((token.duration || 0) * (token.frameRate || 0))) - 1;
+
+        const clamped = ranges
+            .filter(range => Number.isFinite(range.start) && Number.isFinite(range.end))
+            .map(range => ({
+                start: Math.max(0, Math.round(Math.min(range.start, range.end))),
+                end: Math.round(lastFrame >= 0 ? Math.min(lastFrame, Math.max(range.start, range.end)) : Math.max(range.start, range.end))
+            }))
+            .filter(range => range.start <= range.end)
+            .sort((a, b) => a.start - b.start);
+
+        const merged = [];
+        for (const range of clamped) {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end + 1) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+        }
+
+        return merged;
     }
 
     /**
      * Check if token render exists on disk
      */
     renderExists(tokenId) {
-        const token = this.tokens.get(tokenId);
+        const token = this.getToken(tokenId);
         if (!token) return false;
 
         // Check if first frame exists
@@ -139,11 +433,83 @@ class TokenManager {
         return false;
     }
 
+    /**
+     * Change a token's render settings overrides
+     * A finished render no longer matches the new settings, so the token becomes dirty
+     * Throws while the token is rendering
+     */
+    updateSettings(tokenId, changes) {
+        const token = this.tokens.get(tokenId);
+        if (!token) return null;
+
+        if (this.isRendering(tokenId)) {
+            throw new Error('Token is rendering; cancel the render before changing its settings');
+        }
+
+        const settings = renderSettings.merge(token.renderSettings, changes);
+        const changed = JSON.stringify(settings) !== JSON.stringify(token.renderSettings || {});
+        if (!changed) return token;
+
+        logger.info(`Token ${tokenId} render settings updated`, settings);
+
+        // Variants keep their own resolution on top of the token's settings
+        for (const variant of Object.keys(token.variants || {})) {
+            this.applySettings(tokenStore.getVariantId(tokenId, variant),
+                renderSettings.merge(settings, { resolution: VARIANTS[variant] }));
+        }
+
+        return this.applySettings(tokenId, settings);
+    }
+
+    /**
+     * Store new render settings on a token or variant, invalidating its render
+     */
+    applySettings(tokenId, settings) {
+        const entry = this.getEntry(tokenId);
+
+        if (['ready', 'swapped'].includes(entry.status)) {
+            return this.updateStatus(tokenId, 'dirty', { renderSettings: settings, dirtyRanges: null });
+        }
+
+        // Frames of a partly dirty token were rendered with the old settings too
+        entry.renderSettings = settings;
+        entry.dirtyRanges = null;
+        entry.updatedAt = new Date().toISOString();
+        this.saveTokens();
+        return this.getToken(tokenId);
+    }
+
+    /**
+     * Check if a token or any of its variants is rendering
+     */
+    isRendering(tokenId) {
+        const token = this.tokens.get(tokenId);
+        if (!token) return false;
+
+        return token.status === 'rendering' ||
+            Object.values(token.variants || {}).some(variant => variant.status === 'rendering');
+    }
+
+    /**
+     * Get the output format of a token
+     * Tokens keep the format they were created with so later renders match the frames on disk
+     */
+    getFormat(token) {
+        return formats.get(token.format) || formats.get(config.format);
+    }
+
+    /**
+     * Path aerender writes a token's render to
+     */
+    getOutputPath(token) {
+        return path.join(token.renderDir, formats.getOutputName(this.getFormat(token).name));
+    }
+
     /**
      * Ensure render directory exists for token
      */
     ensureRenderDir(tokenId) {
-        const token = this.tokens.get(tokenId);
+        const token = this.getToken(tokenId);
         if (!token) return null;
 
         if (!fs.existsSync(token.renderDir)) {
@@ -157,7 +523,7 @@ class TokenManager {
      * Clean up render files for a token
      */
     cleanRender(tokenId) {
-        const token = this.tokens.get(tokenId);
+        const token = this.getToken(tokenId);
         if (!token || !token.renderDir) return;
 
         try {
@@ -175,45 +541,117 @@ class TokenManager {
     }
 
     /**
-     * Save tokens to disk
+     * Delete a token with all its variants, or a single variant for a variant id
+     * purge - also delete the render files
+     * Returns the ids of the removed tokens and variants, or null if not found
      */
-    saveTokens() {
-        const tokensFile = path.join(this.cacheDir, 'tokens.json');
-        const data = Array.from(this.tokens.entries());
+    deleteToken(tokenId, purge = true) {
+        const { tokenId: baseId, variant } = tokenStore.parseVariantId(tokenId);
+        const token = this.tokens.get(baseId);
+        if (!token) return null;
+        if (variant !== 'full' && !(token.variants && token.variants[variant])) return null;
 
+        const ids = variant !== 'full'
+            ? [tokenId]
+            : [baseId].concat(Object.keys(token.variants || {}).map(name => tokenStore.getVariantId(baseId, name)));
+
+        if (purge) {
+            for (const id of ids) {
+                this.cleanRender(id);
+            }
+        }
+
+        if (variant !== 'full') {
+            delete token.variants[variant];
+            this.saveTokens();
+        } else {
+            this.tokens.delete(baseId);
+            this.saveTokens([baseId]);
+        }
+
+        logger.info(`Token deleted: ${tokenId}` + (purge ? ' (render files removed)' : ''));
+        events.publish('token:deleted', { tokenId, purged: purge });
+        return ids;
+    }
+
+    /**
+     * Save tokens to disk
+     * removed - ids of deleted tokens, so they aren't kept from the file on disk
+     * Tokens the panel deleted in the meantime are dropped
+     */
+    saveTokens(removed) {
         try {
-            fs.writeFileSync(tokensFile, JSON.stringify(data, null, 2));
+            const saved = tokenStore.save(this.cacheDir, this.tokens, { removed: removed || [] });
+            tokenStore.adoptSaved(this.tokens, saved);
         } catch (err) {
             logger.error('Failed to save tokens:', err.message);
         }
     }
 
+    /**
+     * Check a ready render loaded from disk for missing or damaged frames
+     * Runs before events are listened to, so the entry is changed in place
+     */
+    checkRender(entry, tokenId = entry.tokenId) {
+        if (entry.status !== 'ready') return;
+
+        const report = integrity.inspect(this.getToken(tokenId));
+        if (report.valid) return;
+
+        logger.warn(`Render of ${tokenId} is incomplete, marking dirty`, {
+            missing: report.missingFrames.length,
+            damaged: report.damagedFrames.length
+        });
+
+        entry.status = 'dirty';
+        entry.dirtyRanges = report.sequence && report.ranges.length > 0 ? report.ranges : null;
+        entry.missingFrames = report.missingFrames;
+        entry.damagedFrames = report.damagedFrames;
+    }
+
     /**
      * Load tokens from disk
      */
     loadTokens() {
-        const tokensFile = path.join(this.cacheDir, 'tokens.json');
-
         try {
-            if (fs.existsSync(tokensFile)) {
-                const data = JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
-                this.tokens = new Map(data);
-
-                // Validate status based on actual render files
-                for (const [tokenId, token] of this.tokens) {
-                    if (token.status === 'ready' && !this.renderExists(tokenId)) {
-                        token.status = 'pending';
-                    }
-                    // Reset rendering status on restart
-                    if (token.status === 'rendering') {
-                        token.status = 'pending';
-                    }
+            const { tokens, migratedFrom, recoveredFrom } = tokenStore.load(this.cacheDir);
+            this.tokens = new Map(Object.entries(tokens));
+
+            if (recoveredFrom) {
+                logger.warn(`tokens.json was corrupt, recovered ${this.tokens.size} tokens from ${recoveredFrom}`);
+            }
+            if (migratedFrom) {
+                logger.info(`Migrated tokens.json from ${migratedFrom} layout to schema v${tokenStore.SCHEMA_VERSION}`);
+            }
+
+            // Validate status based on actual render files
+            for (const [tokenId, token] of this.tokens) {
+                // Tokens from before output formats were configurable always rendered PNG
+                if (!token.format) {
+                    token.format = 'png';
+                }
+                if (token.status === 'ready' && !this.renderExists(tokenId)) {
+                    token.status = 'pending';
+                }
+                this.checkRender(token);
+                // Reset rendering status on restart
+                if (token.status === 'rendering') {
+                    token.status = 'pending';
                 }
 
-                logger.info(`Loaded ${this.tokens.size} tokens from disk`);
+                for (const variant of Object.keys(token.variants || {})) {
+                    const entry = token.variants[variant];
+                    if (entry.status === 'rendering' ||
+                        (entry.status === 'ready' && !this.renderExists(tokenStore.getVariantId(tokenId, variant)))) {
+                        entry.status = 'pending';
+                    }
+                    this.checkRender(entry, tokenStore.getVariantId(tokenId, variant));
+                }
             }
+
+            logger.info(`Loaded ${this.tokens.size} tokens from disk`);
         } catch (err) {
-            logger.error('Failed to load tokens:', err.message);
+            logger.error('Failed to load tokens, tokens.json and its backups are unreadable (kept as tokens.json.corrupt):', err.message);
             this.tokens = new Map();
         }
     }
@@ -0,0 +1,485 @@
+/**
+ * Pulse Token Store
+ * Reads and writes tokens.json in the shared cache directory.
+ *
+ * Loaded by both the CEP panel (through cep_node.require) and the worker,
+ * so it must only depend on Node built-ins.
+ *
+ * Schema (schemaVersion 1):
+ * {
+ *   "schemaVersion": 1,
+ *   "updatedAt": "<ISO date>",
+ *   "tokens": {
+ *     "<tokenId>": {
+ *       "tokenId": "<precomp>_<hash>",
+ *       "hash": "<content hash, see getContentHash>",
+ *       "fingerprint": { <per-layer and per-item hashes, see getFingerprint> },
+ *       "compName", "precompName", "precompId", "layerIndex",
+ *       "width", "height", "frameRate", "duration", "frameCount",
+ *       "startFrame": <number of the first rendered file, the comp's display start frame> | null,
+ *       "status": "pending | rendering | ready | dirty | swapped | error",
+ *       "format": "<output format name, e.g. png, exr, prores>",
+ *       "renderSettings": { <render settings overrides, see worker/lib/renderSettings.js> },
+ *       "projectPath": "<.aep the token was created in> | null",
+ *       "projectId": "<id stored in the project's XMP metadata> | null",
+ *       "projectKey": "<short hash of the project identity> | null",
+ *       "projectFolder": "<project name>_<projectKey> | null",
+ *       "variants": {
+ *         "<half | quarter>": { "status", "width", "height", "renderSettings", "renderDir", "renderFirstFrame", ... }
+ *       },
+ *       "renderDir": "<cacheDir>/Pulse_Renders/<projectFolder>/<tokenId>",
+ *       "renderFirstFrame": "<first rendered frame> | null",
+ *       "swappedIn": <true while the render is swapped in, whatever the status>,
+ *       "createdAt": "<ISO date>",
+ *       "updatedAt": "<ISO date>"
+ *     }
+ *   },
+ *   "deleted": { "<tokenId>": "<ISO date of deletion>" }
+ * }
+ *
+ * Any other token properties (cost, error, renderDuration, ...) are preserved as-is.
+ *
+ * The token itself is the full-quality render; lower-quality variants are
+ * addressed as "<tokenId>@<variant>" and render to their own folder.
+ *
+ * Tokens created before projects were recorded have no project fields and
+ * render straight into Pulse_Renders/<tokenId>.
+ *
+ * "deleted" records recently deleted tokens, so a writer that still holds one
+ * in memory doesn't bring it back on its next save.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const safeFile = require('./safeFile');
+
+const SCHEMA_VERSION = 1;
+const TOKENS_FILE = 'tokens.json';
+const RENDERS_DIR = 'Pulse_Renders';
+const FRAME_PREFIX = 'frame_';
+const VARIANT_SEPARATOR = '@';
+// How long a deleted token is remembered; a writer holding it longer than this would restore it
+const DELETED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Path of tokens.json in a cache directory
+ */
+function getTokensPath(cacheDir) {
+    return path.join(cacheDir, TOKENS_FILE);
+}
+
+/**
+ * Render directory for a token
+ * projectFolder - the token's project folder (see getProjectFolder), if it has one
+ */
+function getRenderDir(cacheDir, tokenId, projectFolder) {
+    return projectFolder
+        ? path.join(cacheDir, RENDERS_DIR, projectFolder, tokenId)
+        : path.join(cacheDir, RENDERS_DIR, tokenId);
+}
+
+/**
+ * Short key identifying a project, from its Pulse id or else its file path
+ * Returns null for an unsaved project without an id
+ */
+function getProjectKey(projectId, projectPath) {
+    const identity = projectId || (projectPath ? path.resolve(projectPath).toLowerCase() : null);
+    if (!identity) return null;
+    return crypto.createHash('sha256').update(identity).digest('hex').substring(0, 8);
+}
+
+/**
+ * Name of a project's folder under Pulse_Renders
+ * The readable name is for browsing; the key keeps same-named projects apart
+ */
+function getProjectFolder(projectName, projectKey) {
+    if (!projectKey) return null;
+    const name = String(projectName || 'Untitled').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 32);
+    return `${name}_${projectKey}`;
+}
+
+/**
+ * JSON with object keys sorted, so equal values always give the same text
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Token hash of a precomp description (see pulse_describeTokenLayer in pulse.jsx)
+ * The panel and the worker both hash through here, so they always agree
+ */
+function getContentHash(description) {
+    return crypto.createHash('sha256').update(canonicalJSON(description)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Short key identifying a set of render settings overrides (see worker/lib/renderSettings.js),
+ * used to keep tokens of the same precomp with different settings apart; empty when nothing is overridden
+ */
+function getSettingsKey(settings) {
+    if (!settings || Object.keys(settings).length === 0) return '';
+
+    const sorted = {};
+    for (const key of Object.keys(settings).sort()) {
+        sorted[key] = settings[key];
+    }
+
+    return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex').substring(0, 8);
+}
+
+/**
+ * Id of the token rendering a precomp: <precomp>_<hash>[_<settingsKey>][_<projectKey>]
+ * The panel and the worker both derive ids through here, so a token gets the same id on either side
+ */
+function getTokenId(precompName, hash, settings, projectKey) {
+    const settingsKey = getSettingsKey(settings);
+    return `${String(precompName).replace(/[^a-zA-Z0-9]/g, '_')}_${hash}` +
+        (settingsKey ? `_${settingsKey}` : '') +
+        (projectKey ? `_${projectKey}` : '');
+}
+
+/**
+ * Hashes of the parts of a precomp description, to tell what changed between two versions of it
+ * Returns { comp, layers: { <layer name>: hash }, items: { <item id>: { name, type, hash } } },
+ * or null for descriptions without layers
+ */
+function getFingerprint(description) {
+    if (!description || !description.root) return null;
+
+    const settings = Object.assign({}, description.root);
+    delete settings.layers;
+
+    const layers = {};
+    for (const layer of description.root.layers || []) {
+        // Layers with the same name are told apart by their order
+        let key = layer.name;
+        for (let count = 2; layers[key] !== undefined; count++) {
+            key = `${layer.name} #${count}`;
+        }
+        layers[key] = getContentHash(layer);
+    }
+
+    const items = {};
+    for (const id of Object.keys(description.items || {})) {
+        const item = description.items[id];
+        items[id] = { name: item.name, type: item.type, hash: getContentHash(item) };
+    }
+
+    return { comp: getContentHash(settings), layers, items };
+}
+
+/**
+ * Describe the differences between two fingerprints, e.g. "Layer "Glow" changed"
+ */
+function diffFingerprints(previous, current) {
+    if (!previous || !current) return ['Precomp changed'];
+
+    const changes = [];
+    const describe = (kind, name, what) => changes.push(`${kind} "${name}" ${what}`);
+
+    if (previous.comp !== current.comp) {
+        changes.push('Precomp settings changed');
+    }
+
+    for (const name of Object.keys(current.layers)) {
+        if (previous.layers[name] === undefined) describe('Layer', name, 'added');
+        else if (previous.layers[name] !== current.layers[name]) describe('Layer', name, 'changed');
+    }
+    for (const name of Object.keys(previous.layers)) {
+        if (current.layers[name] === undefined) describe('Layer', name, 'removed');
+    }
+
+    const kinds = { comp: 'Comp', footage: 'Footage', solid: 'Solid', placeholder: 'Placeholder' };
+    for (const id of Object.keys(current.items)) {
+        const item = current.items[id];
+        if (!previous.items[id]) describe(kinds[item.type] || 'Item', item.name, 'added');
+        else if (previous.items[id].hash !== item.hash) describe(kinds[item.type] || 'Item', item.name, 'changed');
+    }
+    for (const id of Object.keys(previous.items)) {
+        const item = previous.items[id];
+        if (!current.items[id]) describe(kinds[item.type] || 'Item', item.name, 'removed');
+    }
+
+    return changes.length > 0 ? changes : ['Precomp changed'];
+}
+
+/**
+ * Id of a token's quality variant ("full" is the token itself)
+ */
+function getVariantId(tokenId, variant) {
+    return !variant || variant === 'full' ? tokenId : `${tokenId}${VARIANT_SEPARATOR}${variant}`;
+}
+
+/**
+ * Split a token or variant id into { tokenId, variant }
+ */
+function parseVariantId(id) {
+    const index = String(id).indexOf(VARIANT_SEPARATOR);
+    if (index === -1) {
+        return { tokenId: id, variant: 'full' };
+    }
+    return { tokenId: id.slice(0, index), variant: id.slice(index + 1) };
+}
+
+/**
+ * Check if a token's or variant's render is swapped in to After Effects
+ * Recorded apart from the status, which moves on to dirty while the footage is still shown;
+ * tokens written before swappedIn existed only have the status
+ */
+function isSwappedIn(entry) {
+    if (!entry) return false;
+    return entry.swappedIn === undefined ? entry.status === 'swapped' : !!entry.swappedIn;
+}
+
+/**
+ * Convert a timestamp (ISO string or epoch ms) to an ISO string
+ */
+function toISODate(value) {
+    if (!value) return new Date().toISOString();
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Bring a token from any known layout into the current schema
+ *
+ * Legacy panel tokens use `id` and a `renderPath` pointing at the render folder.
+ * Legacy worker tokens use `tokenId` and a `renderPath` pointing at a frame or frame pattern.
+ */
+function normalizeToken(raw, cacheDir) {
+    const token = Object.assign({}, raw);
+
+    token.tokenId = raw.tokenId || raw.id;
+    delete token.id;
+
+    if (!token.renderDir) {
+        token.renderDir = getRenderDir(cacheDir, token.tokenId, token.projectFolder);
+
+        // Legacy panel layout rendered straight into <cacheDir>/<tokenId>
+        if (raw.renderPath && !path.extname(raw.renderPath)) {
+            token.renderDir = raw.renderPath;
+        }
+    }
+
+    if (token.renderFirstFrame === undefined) {
+        token.renderFirstFrame = null;
+    }
+    // Legacy worker tokens stored the first frame in renderPath once rendered
+    if (raw.renderPath && path.extname(raw.renderPath) && raw.renderPath.indexOf('[#') === -1) {
+        token.renderFirstFrame = raw.renderPath;
+    }
+    // Legacy worker tokens pointed renderFirstFrame at a file it never wrote
+    if (token.renderFirstFrame && !fs.existsSync(token.renderFirstFrame)) {
+        token.renderFirstFrame = null;
+    }
+    delete token.renderPath;
+
+    if (!token.frameCount && token.duration && token.frameRate) {
+        token.frameCount = Math.ceil(token.duration * token.frameRate);
+    }
+
+    token.createdAt = toISODate(raw.createdAt);
+    token.updatedAt = toISODate(raw.updatedAt || raw.createdAt);
+
+    return token;
+}
+
+/**
+ * Migrate parsed tokens.json content of any layout to the current schema
+ * Returns { tokens, migratedFrom } where migratedFrom is null if no migration was needed
+ */
+function migrate(data, cacheDir) {
+    let entries;
+    let migratedFrom = null;
+
+    if (Array.isArray(data)) {
+        // Legacy worker layout: Array.from(map.entries())
+        entries = data.map(entry => entry[1]);
+        migratedFrom = 'worker-legacy';
+    } else if (data && typeof data === 'object' && data.schemaVersion === undefined) {
+        // Legacy panel layout: object keyed by id
+        entries = Object.keys(data).map(key => data[key]);
+        migratedFrom = 'panel-legacy';
+    } else if (data && data.schemaVersion <= SCHEMA_VERSION) {
+        entries = Object.keys(data.tokens || {}).map(key => data.tokens[key]);
+    } else {
+        throw new Error(`Unsupported tokens.json schemaVersion: ${data && data.schemaVersion}`);
+    }
+
+    const tokens = {};
+    for (const entry of entries) {
+        if (!entry || !(entry.tokenId || entry.id)) continue;
+        const token = normalizeToken(entry, cacheDir);
+        tokens[token.tokenId] = token;
+    }
+
+    return { tokens, migratedFrom };
+}
+
+/**
+ * Read tokens from disk
+ * Legacy layouts are migrated and written back in the current schema
+ * A corrupt tokens.json is replaced by its newest valid backup
+ * Returns { tokens, deleted, migratedFrom, recoveredFrom }
+ * deleted - ids of recently deleted tokens, with the date they were deleted
+ */
+function load(cacheDir) {
+    const { data, recoveredFrom } = safeFile.readJSON(getTokensPath(cacheDir));
+    if (data === null) {
+        return { tokens: {}, deleted: {}, migratedFrom: null, recoveredFrom: null };
+    }
+
+    const migrated = migrate(data, cacheDir);
+    const deleted = Object.assign({}, data.deleted);
+
+    if (migrated.migratedFrom) {
+        writeFile(cacheDir, migrated.tokens, deleted);
+    }
+
+    return Object.assign(migrated, { deleted, recoveredFrom });
+}
+
+/**
+ * Save tokens to disk
+ *
+ * Tokens are merged one by one: of a token held by the caller and its copy
+ * on disk, the one updated last is written, and tokens only present on disk
+ * (written by the panel or the worker) are kept, so neither writer clobbers
+ * the other's newer state. Callers take over the newer copies from the
+ * returned tokens.
+ *
+ * Deleted ids are recorded in the file. A token the caller holds that the
+ * other writer deleted after the caller's copy last changed is not written
+ * back; the returned tokens leave it out so the caller can drop it too.
+ *
+ * @param {string} cacheDir
+ * @param {Object|Map} tokens - Tokens keyed by tokenId
+ * @param {Object} [options]
+ * @param {string[]} [options.removed] - Token ids to delete from disk
+ * @returns {Object} The tokens written, keyed by tokenId
+ */
+function save(cacheDir, tokens, options = {}) {
+    let merged = {};
+    let deleted = {};
+
+    try {
+        const current = load(cacheDir);
+        merged = current.tokens;
+        deleted = current.deleted;
+    } catch (err) {
+        // Unreadable file: overwrite it with what we have
+    }
+
+    const now = Date.now();
+    for (const tokenId of options.removed || []) {
+        deleted[tokenId] = new Date(now).toISOString();
+        delete merged[tokenId];
+    }
+
+    const own = tokens instanceof Map ? Array.from(tokens.values()) : Object.keys(tokens).map(key => tokens[key]);
+    for (const token of own) {
+        const normalized = normalizeToken(token, cacheDir);
+        const deletedAt = deleted[normalized.tokenId];
+
+        if (deletedAt) {
+            if (new Date(normalized.updatedAt) <= new Date(deletedAt)) continue;
+            // Created again since it was deleted
+            delete deleted[normalized.tokenId];
+        }
+
+        const current = merged[normalized.tokenId];
+        if (current && getLastUpdate(current) > getLastUpdate(normalized)) continue;
+        merged[normalized.tokenId] = normalized;
+    }
+
+    for (const tokenId of Object.keys(deleted)) {
+        if (!(now - new Date(deleted[tokenId]) < DELETED_RETENTION_MS)) delete deleted[tokenId];
+    }
+
+    writeFile(cacheDir, merged, deleted);
+    return merged;
+}
+
+/**
+ * When a token or one of its variants last changed, in ms
+ */
+function getLastUpdate(token) {
+    return Object.keys(token.variants || {})
+        .reduce((last, variant) => Math.max(last, new Date(token.variants[variant].updatedAt || 0).getTime()),
+            new Date(token.updatedAt || 0).getTime());
+}
+
+/**
+ * Bring a writer's tokens up to date with what save() wrote
+ * Tokens the other writer deleted are dropped, and tokens it changed since are
+ * updated in place, so references the writer holds to them stay valid
+ *
+ * @param {Object|Map} tokens - The writer's tokens, keyed by tokenId
+ * @param {Object} saved - The tokens save() returned
+ */
+function adoptSaved(tokens, saved) {
+    const ids = tokens instanceof Map ? Array.from(tokens.keys()) : Object.keys(tokens);
+
+    for (const tokenId of ids) {
+        const token = tokens instanceof Map ? tokens.get(tokenId) : tokens[tokenId];
+
+        if (!saved[tokenId]) {
+            if (tokens instanceof Map) tokens.delete(tokenId);
+            else delete tokens[tokenId];
+        } else if (getLastUpdate(saved[tokenId]) > getLastUpdate(token)) {
+            Object.keys(token).forEach(key => delete token[key]);
+            Object.assign(token, saved[tokenId]);
+        }
+    }
+}
+
+/**
+ * Write tokens in the current schema
+ * The write is atomic and keeps the previous versions as tokens.json.1, .2, ...
+ */
+function writeFile(cacheDir, tokens, deleted) {
+    const data = {
+        schemaVersion: SCHEMA_VERSION,
+        updatedAt: new Date().toISOString(),
+        tokens: tokens,
+        deleted: deleted || {}
+    };
+
+    safeFile.writeFileAtomic(getTokensPath(cacheDir), JSON.stringify(data, null, 2));
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    TOKENS_FILE,
+    RENDERS_DIR,
+    FRAME_PREFIX,
+    getTokensPath,
+    getRenderDir,
+    getContentHash,
+    getSettingsKey,
+    getTokenId,
+    getFingerprint,
+    diffFingerprints,
+    getProjectKey,
+    getProjectFolder,
+    getVariantId,
+    parseVariantId,
+    isSwappedIn,
+    getLastUpdate,
+    normalizeToken,
+    migrate,
+    load,
+    save,
+    adoptSaved
+};
@@ -3,21 +3,37 @@
  * Express server for handling render jobs and token management
  */
 
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const config = require('./config');
 const logger = require('./lib/logger');
 const tokenManager = require('./lib/tokenManager');
 const renderQueue = require('./lib/renderQueue');
+const cacheManager = require('./lib/cacheManager');
+const integrity = require('./lib/integrity');
+const blobStore = require('./lib/blobStore');
+const cacheArchive = require('./lib/cacheArchive');
 const aerender = require('./lib/aerender');
+const events = require('./lib/events');
+const formats = require('./lib/formats');
+const renderSettings = require('./lib/renderSettings');
+const tokenStore = require('./lib/tokenStore');
 
 // Initialize Express app
 const app = express();
 
+// Open /events responses; they never end on their own, so shutdown ends them
+const eventStreams = new Set();
+
+// Exit anyway if connections are still open this long after a shutdown signal
+const SHUTDOWN_TIMEOUT_MS = 5000;
+
 // Middleware
 app.use(cors({
     origin: true, // Allow all origins (localhost only anyway)
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'DELETE'],
     allowedHeaders: ['Content-Type']
 }));
 app.use(express.json());
@@ -61,19 +77,55 @@ app.get('/health', (req, res) => {
  */
 app.post('/config', (req, res) => {
     try {
-        const { cacheDir, format, concurrency, aerenderPath } = req.body;
+        const { cacheDir, format, customFormats, concurrency, aerenderPath, resumeRenders, preempt, chunkMinFrames, retry, cache, dedupeFrames } = req.body;
+
+        if (customFormats !== undefined) {
+            const invalid = Array.isArray(customFormats)
+                ? customFormats.map(entry => formats.validate(entry)).find(Boolean)
+                : 'customFormats must be an array';
+            if (invalid) {
+                return res.status(400).json({
+                    success: false,
+                    error: invalid
+                });
+            }
+        }
+
+        // The format may be one of the custom formats set in the same request
+        const isNewFormat = (customFormats || []).some(entry => String(entry.name).toLowerCase() === String(format).toLowerCase());
+        if (format && !isNewFormat && !formats.get(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown format: ${format}`
+            });
+        }
+
+        // The panel sends its cache directory with every settings save
+        const cacheDirChanged = !!cacheDir && path.resolve(cacheDir) !== path.resolve(config.cacheDir);
 
         config.update({
             cacheDir,
             format,
+            customFormats,
             concurrency,
-            aerenderPath
+            aerenderPath,
+            resumeRenders,
+            preempt,
+            chunkMinFrames,
+            retry,
+            cache,
+            dedupeFrames
         });
 
-        // Re-initialize managers with new config
-        if (cacheDir) {
+        // Re-initialize managers for the new cache; reloading the same one would replay running jobs
+        if (cacheDirChanged) {
             logger.init(cacheDir);
+            blobStore.init(cacheDir);
             tokenManager.init(cacheDir);
+            renderQueue.init(cacheDir);
+        }
+        if (cache) {
+            cacheManager.start();
         }
 
         logger.info('Configuration updated', req.body);
@@ -83,8 +135,15 @@ app.post('/config', (req, res) => {
             config: {
                 cacheDir: config.cacheDir,
                 format: config.format,
+                customFormats: config.customFormats,
                 concurrency: config.concurrency,
-                aerenderPath: config.aerenderPath
+                aerenderPath: config.aerenderPath,
+                resumeRenders: config.resumeRenders,
+                preempt: config.preempt,
+                chunkMinFrames: config.chunkMinFrames,
+                retry: config.retry,
+                cache: config.cache,
+                dedupeFrames: config.dedupeFrames
             }
         });
     } catch (err) {
@@ -96,13 +155,28 @@ app.post('/config', (req, res) => {
     }
 });
 
+/**
+ * GET /formats
+ * List available output formats
+ */
+app.get('/formats', (req, res) => {
+    res.json({
+        success: true,
+        default: config.format,
+        formats: formats.list()
+    });
+});
+
 /**
  * GET /tokens
  * List all tokens
+ * Optional ?project= (project id, .aep path or file name) lists only that project's tokens
  */
 app.get('/tokens', (req, res) => {
     try {
-        const tokens = tokenManager.getAllTokens();
+        const project = req.query.project;
+        const tokens = tokenManager.getAllTokens()
+            .filter(token => !project || tokenManager.matchesProject(token, project));
         res.json({
             success: true,
             count: tokens.length,
@@ -120,10 +194,13 @@ app.get('/tokens', (req, res) => {
 /**
  * POST /token/create
  * Create a new token from comp summary
+ * The token hash is the SHA-256 of the summary, the canonical precomp description built by pulse.jsx
  */
 app.post('/token/create', (req, res) => {
     try {
-        const { compName, precompName, layerIndex, frameRate, duration, width, height, summary } = req.body;
+        const { compName, precompName, precompId, layerIndex, frameRate, duration, startFrame, width, height, summary, format, variants } = req.body;
+        const { projectPath, projectId, projectName } = req.body;
+        let settings;
 
         if (!precompName || !summary) {
             return res.status(400).json({
@@ -132,15 +209,55 @@ app.post('/token/create', (req, res) => {
             });
         }
 
+        if (typeof summary !== 'object') {
+            return res.status(400).json({
+                success: false,
+                error: 'summary must be the precomp description from pulse_describeTokenLayer()'
+            });
+        }
+
+        if (format && !formats.get(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown format: ${format}`
+            });
+        }
+
+        try {
+            settings = renderSettings.normalize(req.body.renderSettings);
+        } catch (err) {
+            return res.status(400).json({
+                success: false,
+                error: err.message
+            });
+        }
+
+        const validVariants = variants === undefined || (Array.isArray(variants) &&
+            variants.every(variant => tokenManager.getVariantNames().includes(variant)));
+        if (!validVariants) {
+            return res.status(400).json({
+                success: false,
+                error: `variants must be a list of: ${tokenManager.getVariantNames().join(', ')}`
+            });
+        }
+
         const token = tokenManager.createToken({
             compName,
             precompName,
+            precompId,
             layerIndex,
             frameRate,
             duration,
+            startFrame,
             width,
             height,
-            summary
+            summary,
+            format,
+            renderSettings: settings,
+            variants,
+            projectPath,
+            projectId,
+            projectName
         });
 
         res.json({
@@ -157,21 +274,133 @@ app.post('/token/create', (req, res) => {
     }
 });
 
+/**
+ * POST /token/update
+ * Change a token's render settings overrides (null removes an override)
+ * A ready or swapped token becomes dirty
+ */
+app.post('/token/update', (req, res) => {
+    try {
+        const { tokenId, renderSettings: changes } = req.body;
+
+        if (!tokenId || !changes) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: tokenId, renderSettings'
+            });
+        }
+
+        const current = tokenManager.getToken(tokenId);
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                error: `Token not found: ${tokenId}`
+            });
+        }
+
+        if (tokenManager.isRendering(tokenId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Token is rendering; cancel the render before changing its settings'
+            });
+        }
+
+        let token;
+        try {
+            token = tokenManager.updateSettings(tokenId, changes);
+        } catch (err) {
+            return res.status(400).json({
+                success: false,
+                error: err.message
+            });
+        }
+
+        res.json({
+            success: true,
+            token: token
+        });
+    } catch (err) {
+        logger.error('Failed to update token:', err.message);
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
+/**
+ * POST /token/variant
+ * Add a quality variant (half, quarter) to a token
+ */
+app.post('/token/variant', (req, res) => {
+    try {
+        const { tokenId, variant } = req.body;
+
+        if (!tokenId || !variant) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: tokenId, variant'
+            });
+        }
+
+        if (!tokenManager.getVariantNames().includes(variant)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown variant: ${variant}. Use one of: ${tokenManager.getVariantNames().join(', ')}`
+            });
+        }
+
+        const token = tokenManager.addVariant(tokenId, variant);
+        if (!token) {
+            return res.status(404).json({
+                success: false,
+                error: `Token not found: ${tokenId}`
+            });
+        }
+
+        res.json({
+            success: true,
+            tokenId: token.tokenId,
+            token: token
+        });
+    } catch (err) {
+        logger.error('Failed to add variant:', err.message);
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
 /**
  * POST /token/render
  * Queue a token for rendering
+ * Optional priority ('low', 'normal', 'high' or a number) and preempt flag
+ * Optional variant renders one of the token's quality variants, adding it if needed
  */
 app.post('/token/render', (req, res) => {
     try {
-        const { tokenId, projectPath } = req.body;
+        const { projectPath, priority, preempt, variant } = req.body;
 
-        if (!tokenId || !projectPath) {
+        if (!req.body.tokenId || !projectPath) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required fields: tokenId, projectPath'
             });
         }
 
+        if (variant && !tokenManager.getVariantNames().includes(variant)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown variant: ${variant}. Use one of: ${tokenManager.getVariantNames().join(', ')}`
+            });
+        }
+
+        const tokenId = tokenStore.getVariantId(req.body.tokenId, variant);
+        if (variant) {
+            tokenManager.addVariant(req.body.tokenId, variant);
+        }
+
         const token = tokenManager.getToken(tokenId);
         if (!token) {
             return res.status(404).json({
@@ -192,7 +421,7 @@ app.post('/token/render', (req, res) => {
         tokenManager.ensureRenderDir(tokenId);
 
         // Add to queue
-        const queued = renderQueue.enqueue(tokenId, projectPath);
+        const queued = renderQueue.enqueue(tokenId, projectPath, { priority, preempt });
 
         res.json({
             success: true,
@@ -208,13 +437,71 @@ app.post('/token/render', (req, res) => {
     }
 });
 
+/**
+ * DELETE /token/:id
+ * Delete a token and its variants, or a single variant ("<tokenId>@<variant>")
+ * ?purge=false keeps the render files on disk
+ */
+app.delete('/token/:id', (req, res) => {
+    try {
+        const tokenId = req.params.id;
+        const purge = req.query.purge !== 'false';
+        const token = tokenManager.getToken(tokenId);
+
+        if (!token) {
+            return res.status(404).json({
+                success: false,
+                error: `Token not found: ${tokenId}`
+            });
+        }
+
+        const { variant } = tokenStore.parseVariantId(tokenId);
+        const targets = variant !== 'full'
+            ? [token]
+            : [token].concat(Object.keys(token.variants || {}).map(name => tokenManager.getToken(tokenStore.getVariantId(tokenId, name))));
+
+        if (targets.some(target => target.status === 'rendering')) {
+            return res.status(409).json({
+                success: false,
+                error: 'Token is rendering; cancel the render before deleting it'
+            });
+        }
+        if (purge && targets.some(target => tokenStore.isSwappedIn(target))) {
+            return res.status(409).json({
+                success: false,
+                error: 'Token is swapped in; restore the precomp before deleting its render'
+            });
+        }
+
+        // Drop queued renders and pending retries
+        for (const target of targets) {
+            renderQueue.cancel(target.tokenId);
+        }
+
+        const deleted = tokenManager.deleteToken(tokenId, purge);
+        if (purge) blobStore.collectGarbage();
+
+        res.json({
+            success: true,
+            deleted: deleted,
+            purged: purge
+        });
+    } catch (err) {
+        logger.error('Failed to delete token:', err.message);
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
 /**
  * POST /token/swapin
  * Mark token as swapped in
  */
 app.post('/token/swapin', (req, res) => {
     try {
-        const { tokenId } = req.body;
+        const tokenId = tokenStore.getVariantId(req.body.tokenId, req.body.variant);
 
         if (!tokenId) {
             return res.status(400).json({
@@ -223,7 +510,10 @@ app.post('/token/swapin', (req, res) => {
             });
         }
 
-        const token = tokenManager.updateStatus(tokenId, 'swapped');
+        const token = tokenManager.updateStatus(tokenId, 'swapped', {
+            swappedIn: true,
+            lastAccess: new Date().toISOString()
+        });
 
         if (!token) {
             return res.status(404).json({
@@ -251,7 +541,7 @@ app.post('/token/swapin', (req, res) => {
  */
 app.post('/token/swapback', (req, res) => {
     try {
-        const { tokenId } = req.body;
+        const tokenId = tokenStore.getVariantId(req.body.tokenId, req.body.variant);
 
         if (!tokenId) {
             return res.status(400).json({
@@ -260,7 +550,11 @@ app.post('/token/swapback', (req, res) => {
             });
         }
 
-        const token = tokenManager.updateStatus(tokenId, 'ready');
+        const entry = tokenManager.getToken(tokenId);
+        // A token marked dirty while swapped in stays dirty
+        const token = entry && tokenManager.updateStatus(tokenId, entry.status === 'swapped' ? 'ready' : entry.status, {
+            swappedIn: false
+        });
 
         if (!token) {
             return res.status(404).json({
@@ -285,10 +579,16 @@ app.post('/token/swapback', (req, res) => {
 /**
  * POST /token/dirty
  * Mark token as dirty (needs re-render)
+ * Optional ranges ([{ start, end }] in frames or [{ startTime, endTime }] in seconds)
+ * limit the next render to those frames
+ * Optional summary (the precomp's current description) replaces the token by one for the
+ * new description, rendered in full; ranges are ignored then. The response names the
+ * replaced token in retired if it was deleted
  */
 app.post('/token/dirty', (req, res) => {
     try {
-        const { tokenId } = req.body;
+        const { ranges, summary } = req.body;
+        const tokenId = tokenStore.getVariantId(req.body.tokenId, req.body.variant);
 
         if (!tokenId) {
             return res.status(400).json({
@@ -297,7 +597,50 @@ app.post('/token/dirty', (req, res) => {
             });
         }
 
-        const token = tokenManager.markDirty(tokenId);
+        if (ranges !== undefined && !Array.isArray(ranges)) {
+            return res.status(400).json({
+                success: false,
+                error: 'ranges must be an array of { start, end } or { startTime, endTime }'
+            });
+        }
+
+        if (summary !== undefined && (!summary || typeof summary !== 'object')) {
+            return res.status(400).json({
+                success: false,
+                error: 'summary must be the precomp description from pulse_describePrecomp()'
+            });
+        }
+
+        // A precomp that changed since the token was created brings its new description along
+        if (summary) {
+            const previous = tokenManager.getToken(tokenStore.parseVariantId(tokenId).tokenId);
+            if (!previous) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Token not found: ${tokenId}`
+                });
+            }
+
+            // Frames of the old description are not worth finishing
+            const renderIds = [previous.tokenId].concat(Object.keys(previous.variants || {})
+                .map(variant => tokenStore.getVariantId(previous.tokenId, variant)));
+            for (const id of renderIds) {
+                renderQueue.cancel(id);
+            }
+
+            const replaced = tokenManager.replaceContent(tokenId, summary);
+            const token = replaced.token.tokenId === previous.tokenId
+                ? tokenManager.markDirty(previous.tokenId)
+                : replaced.token;
+
+            return res.json({
+                success: true,
+                token: token,
+                retired: replaced.retired
+            });
+        }
+
+        const token = tokenManager.markDirty(tokenId, ranges);
 
         if (!token) {
             return res.status(404).json({
@@ -319,6 +662,51 @@ app.post('/token/dirty', (req, res) => {
     }
 });
 
+/**
+ * POST /token/:id/verify
+ * Check a token's render for missing, damaged or changed frames
+ * A token with problems becomes dirty so only the bad frames are re-rendered
+ */
+app.post('/token/:id/verify', async (req, res) => {
+    try {
+        const tokenId = req.params.id;
+        const token = tokenManager.getToken(tokenId);
+
+        if (!token) {
+            return res.status(404).json({
+                success: false,
+                error: `Token not found: ${tokenId}`
+            });
+        }
+
+        if (token.status === 'rendering') {
+            return res.status(409).json({
+                success: false,
+                error: 'Token is rendering; verify it once the render finished'
+            });
+        }
+
+        const report = await integrity.verify(token);
+        const updated = report.valid ? token : tokenManager.markIncomplete(tokenId, report);
+
+        res.json({
+            success: true,
+            valid: report.valid,
+            expectedFrames: report.expectedFrames,
+            missingFrames: report.missingFrames,
+            damagedFrames: report.damagedFrames,
+            checksummed: report.checksummed,
+            token: updated
+        });
+    } catch (err) {
+        logger.error('Failed to verify token:', err.message);
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
 /**
  * GET /queue
  * Get render queue status
@@ -336,7 +724,7 @@ app.get('/queue', (req, res) => {
  */
 app.post('/queue/cancel', (req, res) => {
     try {
-        const { tokenId } = req.body;
+        const tokenId = tokenStore.getVariantId(req.body.tokenId, req.body.variant);
 
         if (!tokenId) {
             return res.status(400).json({
@@ -360,6 +748,256 @@ app.post('/queue/cancel', (req, res) => {
     }
 });
 
+/**
+ * GET /events
+ * Server-Sent Events stream of job and token events
+ * Optional ?tokenId= limits the stream to a single token
+ */
+app.get('/events', (req, res) => {
+    const { tokenId } = req.query;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    eventStreams.add(res);
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Initial snapshot so clients can render state without polling /queue
+    send({
+        id: events.sequence,
+        type: 'queue:snapshot',
+        timestamp: new Date().toISOString(),
+        ...renderQueue.getStatus()
+    });
+
+    const unsubscribe = events.subscribe((event) => {
+        // Events of a token's variants belong to the token
+        if (tokenId && event.tokenId && tokenStore.parseVariantId(event.tokenId).tokenId !== tokenId && event.tokenId !== tokenId) return;
+        send(event);
+    });
+
+    // Keep the connection open through proxies and idle timeouts
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        eventStreams.delete(res);
+    });
+});
+
+/**
+ * POST /queue/reorder
+ * Reorder queued jobs - listed tokens move to the front in the given order
+ */
+app.post('/queue/reorder', (req, res) => {
+    try {
+        const { order } = req.body;
+
+        if (!Array.isArray(order)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: order (array of tokenIds)'
+            });
+        }
+
+        renderQueue.reorder(order);
+
+        res.json({
+            success: true,
+            queue: renderQueue.getStatus()
+        });
+    } catch (err) {
+        logger.error('Failed to reorder queue:', err.message);
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
+/**
+ * POST /queue/prioritize
+ * Raise a queued job's priority, preempting a lower-priority render if needed
+ */
+app.post('/queue/prioritize', (req, res) => {
+    try {
+        const { tokenId, priority, preempt } = req.body;
+
+        if (!tokenId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: tokenId'
+            });
+        }
+
+        const job = renderQueue.prioritize(tokenId, priority || 'high', preempt !== undefined ? preempt : config.preempt);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: `Token not in queue: ${tokenId}`
+            });
+        }
+
+        res.json({
+            success: true,
+            priority: job.priority,
+            queue: renderQueue.getStatus()
+        });
+    } catch (err) {
+        logger.error('Failed to prioritize job:', err.message);
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
+/**
+ * GET /cache/stats
+ * Disk usage of the renders folder, per token and in total
+ */
+app.get('/cache/stats', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...cacheManager.getStats()
+        });
+    } catch (err) {
+        logger.error('Failed to get cache stats:', err.message);
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
+/**
+ * POST /cache/evict
+ * Run an eviction pass now instead of waiting for the next scheduled one
+ */
+app.post('/cache/evict', (req, res) => {
+    try {
+        const result = cacheManager.evict();
+
+        res.json({
+            success: true,
+            evicted: result.evicted,
+            freedBytes: result.freedBytes,
+            stats: cacheManager.getStats()
+        });
+    } catch (err) {
+        logger.error('Failed to evict cache:', err.message);
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
+/**
+ * POST /cache/prune
+ * Remove orphaned render folders and tokens whose render vanished
+ * { dryRun: true } only lists what would be deleted
+ */
+app.post('/cache/prune', (req, res) => {
+    try {
+        const result = cacheManager.prune({ dryRun: req.body.dryRun === true });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (err) {
+        logger.error('Failed to prune cache:', err.message);
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
+/**
+ * POST /cache/export
+ * Write tokens and their frames to a .tar.gz archive
+ * Optional project, comp and tokenIds limit the export; outputPath sets the archive path
+ */
+app.post('/cache/export', async (req, res) => {
+    try {
+        const { project, comp, tokenIds, outputPath } = req.body;
+
+        if (tokenIds !== undefined && !Array.isArray(tokenIds)) {
+            return res.status(400).json({
+                success: false,
+                error: 'tokenIds must be an array'
+            });
+        }
+
+        if (cacheArchive.selectTokens({ project, comp, tokenIds }).length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'No tokens match the export filter'
+            });
+        }
+
+        const result = await cacheArchive.exportArchive({ project, comp, tokenIds, outputPath });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (err) {
+        logger.error('Failed to export cache:', err.message);
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
+/**
+ * POST /cache/import
+ * Merge an archive written by /cache/export into this cache
+ */
+app.post('/cache/import', async (req, res) => {
+    try {
+        const { archivePath } = req.body;
+
+        if (!archivePath) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: archivePath'
+            });
+        }
+
+        if (!fs.existsSync(archivePath)) {
+            return res.status(404).json({
+                success: false,
+                error: `Archive not found: ${archivePath}`
+            });
+        }
+
+        const result = await cacheArchive.importArchive(archivePath);
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (err) {
+        logger.error('Failed to import cache:', err.message);
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
 // 404 handler
 app.use((req, res) => {
     res.status(404).json({
@@ -382,7 +1020,10 @@ app.use((err, req, res, next) => {
 function startServer() {
     // Initialize components
     logger.init(config.cacheDir);
+    blobStore.init(config.cacheDir);
     tokenManager.init(config.cacheDir);
+    renderQueue.init(config.cacheDir);
+    cacheManager.start();
 
     // Log startup info
     logger.info('========================================');
@@ -406,21 +1047,35 @@ function startServer() {
     });
 
     // Graceful shutdown
-    process.on('SIGTERM', () => {
-        logger.info('SIGTERM received, shutting down...');
-        server.close(() => {
-            logger.info('Server closed');
-            process.exit(0);
-        });
-    });
+    process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+    process.on('SIGINT', () => shutdown(server, 'SIGINT'));
+}
 
-    process.on('SIGINT', () => {
-        logger.info('SIGINT received, shutting down...');
-        server.close(() => {
-            logger.info('Server closed');
-            process.exit(0);
-        });
+/**
+ * Stop accepting requests and exit once open connections are closed
+ * Event streams are ended first, since server.close() waits for them
+ */
+function shutdown(server, signal) {
+    logger.info(`${signal} received, shutting down...`);
+
+    setTimeout(() => {
+        logger.warn('Connections still open, exiting anyway');
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    server.close(() => {
+        logger.info('Server closed');
+        process.exit(0);
     });
+
+    for (const res of eventStreams) {
+        res.end();
+    }
+    eventStreams.clear();
+    // Keep-alive connections between requests
+    if (typeof server.closeIdleConnections === 'function') {
+        server.closeIdleConnections();
+    }
 }
 
 // Start the server
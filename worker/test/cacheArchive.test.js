@@ -0,0 +1,114 @@
+/**
+ * Cache export and import round trips (run with npm test)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tokenManager = require('../lib/tokenManager');
+const blobStore = require('../lib/blobStore');
+const cacheArchive = require('../lib/cacheArchive');
+
+// Smallest file integrity.inspect accepts as a PNG: signature and IEND trailer
+const PNG = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.from([0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82])
+]);
+
+function useCache(cacheDir) {
+    blobStore.init(cacheDir);
+    tokenManager.init(cacheDir);
+}
+
+function addToken(tokenId, hash, frames) {
+    const renderDir = path.join(tokenManager.rendersDir, 'Spot_f9840c81', tokenId);
+    fs.mkdirSync(renderDir, { recursive: true });
+
+    frames.forEach((source, frame) => {
+        const file = path.join(renderDir, `frame_${String(frame).padStart(5, '0')}.png`);
+        if (source) fs.linkSync(source, file);
+        else fs.writeFileSync(file, PNG);
+    });
+
+    tokenManager.importToken({
+        tokenId: tokenId,
+        hash: hash,
+        precompName: tokenId,
+        status: 'ready',
+        format: 'png',
+        frameRate: 25,
+        duration: frames.length / 25,
+        frameCount: frames.length,
+        projectFolder: 'Spot_f9840c81',
+        renderDir: renderDir,
+        renderFirstFrame: path.join(renderDir, 'frame_00000.png')
+    });
+
+    return renderDir;
+}
+
+test('exports and re-imports tokens whose shared frames have long paths', async (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-archive-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const name = 'A_Really_Long_Precomp_Name_For_The_Background_Plate_v2';
+    useCache(path.join(root, 'source'));
+    const first = addToken(`${name}_1a2b3c4d5e6f7a8b_f9840c81`, '1a2b3c4d5e6f7a8b', [null, null]);
+    // Same frames, so the second token's files are archived as hard links to the first's
+    addToken(`${name}_9f8e7d6c5b4a3f2e_f9840c81`, '9f8e7d6c5b4a3f2e',
+        [path.join(first, 'frame_00000.png'), path.join(first, 'frame_00001.png')]);
+
+    const exported = await cacheArchive.exportArchive({ outputPath: path.join(root, 'export.tar.gz') });
+    assert.strictEqual(exported.files, 4);
+
+    useCache(path.join(root, 'target'));
+    const result = await cacheArchive.importArchive(exported.archivePath);
+
+    assert.deepStrictEqual(result.imported.sort(), exported.tokens.sort());
+    for (const tokenId of exported.tokens) {
+        const token = tokenManager.getToken(tokenId);
+        assert.strictEqual(token.status, 'ready');
+        assert.ok(token.renderDir.startsWith(tokenManager.rendersDir));
+        assert.deepStrictEqual(fs.readFileSync(path.join(token.renderDir, 'frame_00001.png')), PNG);
+    }
+});
+
+test('imports a render of cached content with other render settings', async (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-archive-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    // A final-quality render of the same precomp content as the draft the target already has
+    useCache(path.join(root, 'source'));
+    addToken('BG_1a2b3c4d5e6f7a8b_5e77a1b2_f9840c81', '1a2b3c4d5e6f7a8b', [null]);
+    addToken('BG_1a2b3c4d5e6f7a8b_f9840c81', '1a2b3c4d5e6f7a8b', [null]);
+    const exported = await cacheArchive.exportArchive({ outputPath: path.join(root, 'export.tar.gz') });
+
+    useCache(path.join(root, 'target'));
+    addToken('BG_1a2b3c4d5e6f7a8b_5e77a1b2_f9840c81', '1a2b3c4d5e6f7a8b', [null]);
+    const result = await cacheArchive.importArchive(exported.archivePath);
+
+    assert.deepStrictEqual(result.imported, ['BG_1a2b3c4d5e6f7a8b_f9840c81']);
+    assert.deepStrictEqual(result.skipped, [{ tokenId: 'BG_1a2b3c4d5e6f7a8b_5e77a1b2_f9840c81', reason: 'already cached' }]);
+});
+
+test('skips archived tokens whose id would leave the renders folder', async (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-archive-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    useCache(path.join(root, 'source'));
+    tokenManager.importToken({ tokenId: '../../victim', hash: 'ffffffffffffffff', status: 'pending', format: 'png' });
+    const exported = await cacheArchive.exportArchive({ outputPath: path.join(root, 'export.tar.gz') });
+
+    const victim = path.join(root, 'victim');
+    fs.mkdirSync(victim);
+    fs.writeFileSync(path.join(victim, 'keep.txt'), 'keep');
+
+    useCache(path.join(root, 'target'));
+    const result = await cacheArchive.importArchive(exported.archivePath);
+
+    assert.deepStrictEqual(result.imported, []);
+    assert.strictEqual(result.skipped[0].tokenId, '../../victim');
+    assert.ok(fs.existsSync(path.join(victim, 'keep.txt')));
+});
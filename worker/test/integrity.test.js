@@ -0,0 +1,64 @@
+/**
+ * Render integrity checks (run with npm test)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const integrity = require('../lib/integrity');
+
+// Smallest file integrity.inspect accepts as a PNG: signature and IEND trailer
+const PNG = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.from([0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82])
+]);
+
+function makeRender(t, numbers, contents = {}) {
+    const renderDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-integrity-'));
+    t.after(() => fs.rmSync(renderDir, { recursive: true, force: true }));
+
+    for (const number of numbers) {
+        const data = contents[number] !== undefined ? contents[number] : PNG;
+        fs.writeFileSync(path.join(renderDir, `frame_${String(number).padStart(5, '0')}.png`), data);
+    }
+
+    return renderDir;
+}
+
+test('reports missing and damaged frames as ranges to re-render', (t) => {
+    const renderDir = makeRender(t, [0, 1, 3, 4, 5], {
+        4: Buffer.alloc(0),
+        5: PNG.subarray(0, 10)
+    });
+
+    const report = integrity.inspect({ tokenId: 'BG', format: 'png', frameCount: 7, renderDir });
+
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(report.missingFrames, [2, 6]);
+    assert.deepStrictEqual(report.damagedFrames.map(d => [d.frame, d.reason]), [[4, 'empty'], [5, 'truncated']]);
+    assert.deepStrictEqual(report.ranges, [{ start: 2, end: 2 }, { start: 4, end: 6 }]);
+});
+
+test('checks frames numbered from the comp display start frame', (t) => {
+    // A 25 fps comp displayed from 01:00:00:00 renders frame_90000.png onwards
+    const renderDir = makeRender(t, [90000, 90001, 90003]);
+
+    const report = integrity.inspect({ tokenId: 'BG', format: 'png', frameCount: 4, startFrame: 90000, renderDir });
+
+    assert.strictEqual(report.startFrame, 90000);
+    assert.deepStrictEqual(report.missingFrames, [2]);
+    assert.deepStrictEqual(report.ranges, [{ start: 2, end: 2 }]);
+});
+
+test('takes the start frame of older tokens from the lowest frame on disk', (t) => {
+    const offset = makeRender(t, [90000, 90001, 90002]);
+    assert.strictEqual(integrity.inspect({ tokenId: 'BG', format: 'png', frameCount: 3, renderDir: offset }).valid, true);
+
+    // Frames that fit the token's length are numbered from 0, so a missing first frame is still found
+    const fromZero = makeRender(t, [1, 2]);
+    const report = integrity.inspect({ tokenId: 'BG', format: 'png', frameCount: 3, renderDir: fromZero });
+    assert.strictEqual(report.startFrame, 0);
+    assert.deepStrictEqual(report.missingFrames, [0]);
+});
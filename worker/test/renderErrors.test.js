@@ -0,0 +1,89 @@
+/**
+ * Classification of aerender output (run with npm test)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const renderErrors = require('../lib/renderErrors');
+
+// Output of an aerender run up to the point it opened the project
+function launched(projectPath) {
+    return [
+        'aerender version 24.0x53',
+        'PROGRESS:  Launching After Effects...',
+        'PROGRESS:  ...After Effects successfully launched',
+        `PROGRESS:  Opening project: ${projectPath}`,
+        'PROGRESS:  Project opened'
+    ];
+}
+
+test('reads the category, code and frame from the error line only', () => {
+    const stdout = launched('/Volumes/Jobs/Licensed_Errors/Locked_Logo.aep').concat([
+        'PROGRESS:  10/19/2026 3:00:01 PM: Starting composition "Locked Logo Lockup".',
+        'PROGRESS:  Render Settings: Best Settings',
+        'PROGRESS:  0:00:00:00 (1): 2 Seconds',
+        'PROGRESS:  0:00:00:01 (2): 1 Seconds',
+        'aerender ERROR: After Effects error: Unable to allocate enough memory to render the current frame (3840x2160 @ 32 bpc). ( 23 :: 40 )'
+    ]).join('\n');
+
+    const err = renderErrors.classify(1, stdout, '');
+
+    assert.strictEqual(err.category, 'memory');
+    assert.strictEqual(err.code, '23::40');
+    assert.strictEqual(err.frame, 2);
+    assert.deepStrictEqual(err.details.map(detail => detail.type), ['error']);
+});
+
+test('recognizes a missing composition', () => {
+    const stdout = launched('C:\\Projects\\Spot\\Spot.aep').concat([
+        'aerender ERROR: No comp was found with the given name.'
+    ]).join('\r\n');
+
+    const err = renderErrors.classify(1, stdout, '');
+
+    assert.strictEqual(err.category, 'missing-comp');
+    assert.strictEqual(err.code, 'EXIT_1');
+    assert.strictEqual(err.frame, null);
+});
+
+test('recognizes a locked project', () => {
+    const stdout = launched('/Users/ana/Spot/Spot.aep').concat([
+        'aerender ERROR: After Effects error: Unable to open project "/Users/ana/Spot/Spot.aep" because it is in use by another application. ( 33 :: 7 )'
+    ]).join('\n');
+
+    const err = renderErrors.classify(1, stdout, '');
+
+    assert.strictEqual(err.category, 'project-locked');
+    assert.strictEqual(err.code, '33::7');
+});
+
+test('leaves failures without a known error line unclassified', () => {
+    // A comp named after a license and a project path with "does not exist" in it
+    const stdout = launched('/Volumes/Jobs/does not exist yet/Spot.aep').concat([
+        'PROGRESS:  10/19/2026 3:00:01 PM: Starting composition "License Plate Close-up".',
+        'PROGRESS:  0:00:00:00 (1): 3 Seconds'
+    ]).join('\n');
+
+    const err = renderErrors.classify(3221225477, stdout, '');
+
+    assert.strictEqual(err.category, 'unknown');
+    assert.strictEqual(err.code, 'EXIT_3221225477');
+    assert.strictEqual(err.frame, 1);
+    assert.deepStrictEqual(err.details, []);
+});
+
+test('collects missing footage and fonts from warnings of a finished render', () => {
+    const stdout = launched('/Users/ana/Spot/Spot.aep').concat([
+        'WARNING:After Effects warning: File not found: "/Volumes/Plates/BG_v3.mov"',
+        'WARNING:After Effects warning: Font "Gotham-Bold" is missing',
+        'PROGRESS:  0:00:00:00 (1): 1 Seconds',
+        'PROGRESS:  Total Time Elapsed: 4 Seconds'
+    ]).join('\n');
+
+    const details = renderErrors.parseOutput(stdout, '').details;
+
+    assert.deepStrictEqual(details.map(detail => [detail.type, detail.path || detail.name]), [
+        ['missing-footage', '/Volumes/Plates/BG_v3.mov'],
+        ['missing-font', 'Gotham-Bold']
+    ]);
+});
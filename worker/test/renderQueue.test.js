@@ -0,0 +1,151 @@
+/**
+ * Render queue journal, scheduling and retries (run with npm test)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tokenManager = require('../lib/tokenManager');
+const aerender = require('../lib/aerender');
+const renderQueue = require('../lib/renderQueue');
+const renderErrors = require('../lib/renderErrors');
+const config = require('../config');
+
+function useCache(t, tokenIds) {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-queue-'));
+    t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+    tokenManager.init(cacheDir);
+    for (const tokenId of tokenIds) {
+        tokenManager.importToken({
+            tokenId: tokenId,
+            precompName: tokenId,
+            status: 'pending',
+            format: 'png',
+            frameRate: 25,
+            duration: 2,
+            frameCount: 50,
+            renderDir: path.join(tokenManager.rendersDir, tokenId)
+        });
+    }
+
+    // Jobs are only looked at here, never rendered
+    t.mock.method(renderQueue, 'processQueue', () => {});
+    renderQueue.active.clear();
+    renderQueue.init(cacheDir);
+    return cacheDir;
+}
+
+test('replays the journal backup when queue.json was cut off mid-write', (t) => {
+    const cacheDir = useCache(t, ['BG', 'Title']);
+    const journal = path.join(cacheDir, 'queue.json');
+
+    fs.writeFileSync(`${journal}.1`, JSON.stringify({
+        updatedAt: '2024-05-02T10:00:00.000Z',
+        active: [{ tokenId: 'BG', projectPath: '/Jobs/Spot.aep', priority: 0, addedAt: '2024-05-02T09:59:00.000Z' }],
+        queue: [{ tokenId: 'Title', projectPath: '/Jobs/Spot.aep', priority: 10, addedAt: '2024-05-02T09:59:30.000Z' }]
+    }, null, 2));
+    fs.writeFileSync(journal, '{\n  "updatedAt": "2024-05-02T10:00:05.000Z",\n  "active": [\n    {\n      "tokenId": "BG"');
+
+    renderQueue.init(cacheDir);
+
+    assert.deepStrictEqual(renderQueue.queue.map(job => [job.tokenId, job.priority, !!job.resume]),
+        [['BG', 0, true], ['Title', 10, false]]);
+    assert.ok(fs.existsSync(`${journal}.corrupt`));
+
+    // The replayed queue is written back whole
+    const saved = JSON.parse(fs.readFileSync(journal, 'utf8'));
+    assert.deepStrictEqual(saved.queue.map(job => job.tokenId), ['BG', 'Title']);
+});
+
+test('queues jobs by priority, in arrival order within a priority', (t) => {
+    useCache(t, ['BG', 'Title', 'Logo', 'Grade']);
+
+    renderQueue.enqueue('BG', '/Jobs/Spot.aep');
+    renderQueue.enqueue('Title', '/Jobs/Spot.aep', { priority: 'low' });
+    renderQueue.enqueue('Logo', '/Jobs/Spot.aep', { priority: 'high' });
+    renderQueue.enqueue('Grade', '/Jobs/Spot.aep', { priority: 5 });
+
+    assert.deepStrictEqual(renderQueue.queue.map(job => job.tokenId), ['Logo', 'Grade', 'BG', 'Title']);
+
+    // A prioritized job goes to the front of its new priority band
+    renderQueue.prioritize('Title', 'high', false);
+    assert.deepStrictEqual(renderQueue.queue.map(job => job.tokenId), ['Title', 'Logo', 'Grade', 'BG']);
+});
+
+test('preempts the lowest-priority active render when every slot is busy', (t) => {
+    useCache(t, ['BG', 'Title', 'Logo']);
+    t.mock.method(aerender, 'getActiveCount', () => config.concurrency);
+    const cancelled = [];
+    t.mock.method(aerender, 'cancel', tokenId => cancelled.push(tokenId) > 0);
+
+    renderQueue.active.set('BG', { tokenId: 'BG', projectPath: '/Jobs/Spot.aep', priority: -10, addedAt: '2024-05-02T10:00:00.000Z' });
+
+    // Not above the active render: waits for a free slot
+    renderQueue.enqueue('Title', '/Jobs/Spot.aep', { priority: 'low' });
+    assert.deepStrictEqual(cancelled, []);
+    renderQueue.prioritize('Title', 'normal', false);
+
+    renderQueue.enqueue('Logo', '/Jobs/Spot.aep', { priority: 'high' });
+
+    assert.deepStrictEqual(cancelled, ['BG']);
+    assert.strictEqual(renderQueue.active.has('BG'), false);
+    assert.deepStrictEqual(renderQueue.queue.map(job => [job.tokenId, !!job.resume]),
+        [['Logo', false], ['Title', false], ['BG', true]]);
+    assert.strictEqual(tokenManager.getToken('BG').status, 'pending');
+    assert.strictEqual(tokenManager.getToken('BG').preempted, true);
+});
+
+test('retries retryable failures with exponential backoff up to maxAttempts', async (t) => {
+    useCache(t, ['BG']);
+    const retry = config.retry;
+    config.retry = Object.assign({}, retry, { maxAttempts: 4, baseDelayMs: 1000, factor: 3, maxDelayMs: 5000 });
+    t.after(() => { config.retry = retry; });
+    t.mock.method(aerender, 'render', () => Promise.reject(
+        new renderErrors.RenderError('Out of memory. Try reducing composition complexity.', { code: '23::40', category: 'memory' })));
+
+    let job = { tokenId: 'BG', projectPath: '/Jobs/Spot.aep', priority: 0, addedAt: '2024-05-02T10:00:00.000Z' };
+    const delays = [];
+
+    for (let attempt = 1; attempt <= 4; attempt++) {
+        renderQueue.active.set(job.tokenId, job);
+        const before = Date.now();
+        await renderQueue.executeRender(job, tokenManager.getToken('BG'));
+
+        if (attempt < 4) {
+            job = renderQueue.queue.shift();
+            assert.strictEqual(job.attempt, attempt + 1);
+            assert.strictEqual(job.resume, true);
+            assert.strictEqual(tokenManager.getToken('BG').status, 'pending');
+            // Rounded to whole seconds so the time the render took doesn't count
+            delays.push(Math.round((Date.parse(job.notBefore) - before) / 1000) * 1000);
+        }
+    }
+
+    assert.deepStrictEqual(delays, [1000, 3000, 5000]);
+    assert.strictEqual(renderQueue.queue.length, 0);
+
+    const token = tokenManager.getToken('BG');
+    assert.strictEqual(token.status, 'dirty');
+    assert.strictEqual(token.failure.category, 'memory');
+    assert.strictEqual(token.nextRetryAt, null);
+    assert.deepStrictEqual(token.attempts.map(entry => [entry.attempt, entry.success, entry.code]),
+        [[1, false, '23::40'], [2, false, '23::40'], [3, false, '23::40'], [4, false, '23::40']]);
+});
+
+test('fails at once on errors a retry would not fix', async (t) => {
+    useCache(t, ['BG']);
+    t.mock.method(aerender, 'render', () => Promise.reject(
+        new renderErrors.RenderError('Composition not found in project. Make sure the project is saved.', { code: 'EXIT_1', category: 'missing-comp' })));
+
+    const job = { tokenId: 'BG', projectPath: '/Jobs/Spot.aep', priority: 0, addedAt: '2024-05-02T10:00:00.000Z' };
+    renderQueue.active.set(job.tokenId, job);
+    await renderQueue.executeRender(job, tokenManager.getToken('BG'));
+
+    assert.strictEqual(renderQueue.queue.length, 0);
+    assert.strictEqual(renderQueue.active.has('BG'), false);
+    assert.strictEqual(tokenManager.getToken('BG').status, 'dirty');
+    assert.strictEqual(tokenManager.getToken('BG').failure.category, 'missing-comp');
+});
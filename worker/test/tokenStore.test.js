@@ -0,0 +1,146 @@
+/**
+ * tokens.json migration and merged saves (run with npm test)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tokenStore = require('../lib/tokenStore');
+
+function makeCache(t) {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-tokens-'));
+    t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+    return cacheDir;
+}
+
+function writeTokensFile(cacheDir, data) {
+    fs.writeFileSync(tokenStore.getTokensPath(cacheDir), JSON.stringify(data));
+}
+
+function readTokensFile(cacheDir) {
+    return JSON.parse(fs.readFileSync(tokenStore.getTokensPath(cacheDir), 'utf8'));
+}
+
+test('migrates the legacy worker layout', (t) => {
+    const cacheDir = makeCache(t);
+    writeTokensFile(cacheDir, [
+        ['BG_1a2b3c4d5e6f7a8b', {
+            tokenId: 'BG_1a2b3c4d5e6f7a8b',
+            status: 'pending',
+            frameRate: 25,
+            duration: 2,
+            renderPath: path.join(cacheDir, 'Pulse_Renders', 'BG_1a2b3c4d5e6f7a8b', 'frame_[#####].png'),
+            createdAt: Date.UTC(2024, 0, 15)
+        }]
+    ]);
+
+    const { tokens, migratedFrom } = tokenStore.load(cacheDir);
+    const token = tokens.BG_1a2b3c4d5e6f7a8b;
+
+    assert.strictEqual(migratedFrom, 'worker-legacy');
+    assert.strictEqual(token.renderDir, tokenStore.getRenderDir(cacheDir, 'BG_1a2b3c4d5e6f7a8b'));
+    assert.strictEqual(token.renderFirstFrame, null);
+    assert.strictEqual(token.renderPath, undefined);
+    assert.strictEqual(token.frameCount, 50);
+    assert.strictEqual(token.createdAt, '2024-01-15T00:00:00.000Z');
+
+    // Written back in the current schema
+    const saved = readTokensFile(cacheDir);
+    assert.strictEqual(saved.schemaVersion, tokenStore.SCHEMA_VERSION);
+    assert.deepStrictEqual(Object.keys(saved.tokens), ['BG_1a2b3c4d5e6f7a8b']);
+});
+
+test('migrates the legacy panel layout', (t) => {
+    const cacheDir = makeCache(t);
+    const renderDir = path.join(cacheDir, 'Title_9f8e7d6c5b4a3f2e');
+    writeTokensFile(cacheDir, {
+        Title_9f8e7d6c5b4a3f2e: { id: 'Title_9f8e7d6c5b4a3f2e', status: 'ready', renderPath: renderDir }
+    });
+
+    const { tokens, migratedFrom } = tokenStore.load(cacheDir);
+    const token = tokens.Title_9f8e7d6c5b4a3f2e;
+
+    assert.strictEqual(migratedFrom, 'panel-legacy');
+    assert.strictEqual(token.tokenId, 'Title_9f8e7d6c5b4a3f2e');
+    assert.strictEqual(token.id, undefined);
+    assert.strictEqual(token.renderDir, renderDir);
+});
+
+test('keeps the copy of each token updated last', (t) => {
+    const cacheDir = makeCache(t);
+
+    // The worker saves both tokens, then the panel changes one of them
+    const worker = {
+        BG: { tokenId: 'BG', status: 'rendering', updatedAt: '2024-05-02T10:00:00.000Z' },
+        Title: { tokenId: 'Title', status: 'pending', updatedAt: '2024-05-02T10:00:00.000Z' }
+    };
+    tokenStore.save(cacheDir, worker);
+
+    const panel = tokenStore.load(cacheDir).tokens;
+    panel.Title.status = 'swapped';
+    panel.Title.updatedAt = '2024-05-02T10:05:00.000Z';
+    tokenStore.save(cacheDir, panel);
+
+    // The worker finishes BG, still holding its older copy of Title
+    const title = worker.Title;
+    worker.BG.status = 'ready';
+    worker.BG.updatedAt = '2024-05-02T10:10:00.000Z';
+    const saved = tokenStore.save(cacheDir, worker);
+
+    assert.strictEqual(saved.BG.status, 'ready');
+    assert.strictEqual(saved.Title.status, 'swapped');
+    assert.strictEqual(readTokensFile(cacheDir).tokens.Title.status, 'swapped');
+
+    tokenStore.adoptSaved(worker, saved);
+    assert.strictEqual(worker.Title, title, 'updated in place');
+    assert.strictEqual(title.status, 'swapped');
+});
+
+test('counts a variant change as an update of its token', (t) => {
+    const cacheDir = makeCache(t);
+    tokenStore.save(cacheDir, {
+        BG: { tokenId: 'BG', status: 'ready', updatedAt: '2024-05-02T10:00:00.000Z' }
+    });
+
+    const stale = { BG: { tokenId: 'BG', status: 'ready', updatedAt: '2024-05-02T10:00:00.000Z' } };
+    const current = {
+        BG: {
+            tokenId: 'BG',
+            status: 'ready',
+            updatedAt: '2024-05-02T10:00:00.000Z',
+            variants: { half: { status: 'ready', updatedAt: '2024-05-02T10:03:00.000Z' } }
+        }
+    };
+    tokenStore.save(cacheDir, current);
+
+    const saved = tokenStore.save(cacheDir, stale);
+    assert.strictEqual(saved.BG.variants.half.status, 'ready');
+});
+
+test('does not bring back a token deleted by the other writer', (t) => {
+    const cacheDir = makeCache(t);
+    const panel = {
+        BG: { tokenId: 'BG', status: 'ready', updatedAt: '2024-05-02T10:00:00.000Z' },
+        Title: { tokenId: 'Title', status: 'ready', updatedAt: '2024-05-02T10:00:00.000Z' }
+    };
+    tokenStore.save(cacheDir, panel);
+
+    // The worker deletes BG while the panel still holds it
+    const worker = tokenStore.load(cacheDir).tokens;
+    delete worker.BG;
+    tokenStore.save(cacheDir, worker, { removed: ['BG'] });
+
+    const saved = tokenStore.save(cacheDir, panel);
+    assert.deepStrictEqual(Object.keys(saved), ['Title']);
+    assert.ok(readTokensFile(cacheDir).deleted.BG);
+
+    tokenStore.adoptSaved(panel, saved);
+    assert.deepStrictEqual(Object.keys(panel), ['Title']);
+
+    // Created again after the deletion
+    panel.BG = { tokenId: 'BG', status: 'pending', updatedAt: new Date(Date.now() + 1000).toISOString() };
+    assert.strictEqual(tokenStore.save(cacheDir, panel).BG.status, 'pending');
+    assert.strictEqual(readTokensFile(cacheDir).deleted.BG, undefined);
+});